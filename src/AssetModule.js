@@ -20,6 +20,10 @@ class AssetModule extends Module {
     return Promise.resolve([]);
   }
 
+  getAsyncDependencies() {
+    return Promise.resolve([]);
+  }
+
   read() {
     return Promise.resolve({});
   }
@@ -0,0 +1,106 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const {countLines, createIndexMap} = require('./SourceMap');
+
+class Bundle {
+  constructor({dev = true} = {}) {
+    this.dev = dev;
+    this.mainModuleId = null;
+    this._modules = [];
+    this._chunks = [];
+    this._runModuleCode = null;
+    this._finalized = false;
+  }
+
+  addModule({name, code, map, sourcePath, isPolyfill = false}) {
+    this._assertNotFinalized();
+    this._modules.push({name, code, map, sourcePath, isPolyfill});
+  }
+
+  getModules() {
+    return this._modules;
+  }
+
+  /**
+   * Attaches the bundle of an async chunk. Chunk bundles only define their
+   * modules and are loaded at runtime through `require.async`.
+   */
+  addChunk(id, bundle) {
+    this._chunks.push({id, bundle});
+  }
+
+  getChunks() {
+    return this._chunks;
+  }
+
+  setMainModuleId(moduleId) {
+    this._assertNotFinalized();
+    this.mainModuleId = moduleId;
+  }
+
+  finalize({runMainModule = true} = {}) {
+    this._assertNotFinalized();
+    if (runMainModule && this.mainModuleId != null) {
+      this._runModuleCode = `require(${JSON.stringify(this.mainModuleId)});`;
+    }
+    this._finalized = true;
+    return this;
+  }
+
+  /**
+   * Returns the `require` call starting the main module, or `null` for
+   * bundles that only define modules.
+   */
+  getRunModuleCode() {
+    this._assertFinalized();
+    return this._runModuleCode;
+  }
+
+  getSource() {
+    this._assertFinalized();
+    const code = this._modules.map(module => module.code);
+    if (this._runModuleCode) {
+      code.push(this._runModuleCode);
+    }
+    return code.join('\n');
+  }
+
+  /**
+   * Returns an index source map with one section per module, each starting
+   * at the line the module occupies in `getSource()`.
+   */
+  getSourceMap({file} = {}) {
+    this._assertFinalized();
+    const sections = [];
+    let line = 0;
+    this._modules.forEach(module => {
+      if (module.map) {
+        sections.push({line, map: module.map});
+      }
+      line += countLines(module.code);
+    });
+    return createIndexMap({file, sections});
+  }
+
+  _assertNotFinalized() {
+    if (this._finalized) {
+      throw new Error('Attempted to mutate finalized bundle.');
+    }
+  }
+
+  _assertFinalized() {
+    if (!this._finalized) {
+      throw new Error('Attempted to access unfinalized bundle.');
+    }
+  }
+}
+
+module.exports = Bundle;
@@ -21,10 +21,12 @@ function getObjectValues(object) {
 
 function debounce(fn, delay) {
   var timeout;
-  return () => {
+  const debounced = () => {
     clearTimeout(timeout);
     timeout = setTimeout(fn, delay);
   };
+  debounced.cancel = () => clearTimeout(timeout);
+  return debounced;
 }
 
 class Cache {
@@ -70,9 +72,20 @@ class Cache {
   }
 
   end() {
+    this._persistEventually.cancel();
     return this._persistCache();
   }
 
+  clear() {
+    this._persistEventually.cancel();
+    this._data = Object.create(null);
+    return denodeify(fs.unlink)(this._cacheFilePath).catch(e => {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    });
+  }
+
   has(filepath, field) {
     return Object.prototype.hasOwnProperty.call(this._data, filepath) &&
       (field == null || Object.prototype.hasOwnProperty.call(this._data[filepath].data, field));
@@ -106,7 +119,16 @@ class Cache {
         return data;
       });
 
-    return record.data[field];
+    // Failures, e.g. a crashed transform worker, are not kept so that the
+    // next call tries again.
+    const promise = record.data[field];
+    promise.catch(() => {
+      if (record.data[field] === promise) {
+        delete record.data[field];
+      }
+    });
+
+    return promise;
   }
 
   _persistCache() {
@@ -0,0 +1,303 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const fs = require('graceful-fs');
+const path = require('../fastpath');
+
+const CONFIG_FILE_NAME = 'haste.config.js';
+const PACKAGE_JSON = 'package.json';
+
+const PRESETS = {
+  'react-native': './presets/react-native',
+  web: './presets/web',
+};
+
+const isString = value => typeof value === 'string';
+const isObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Option name to its validator. Validators return the normalized value or
+// throw with the expected type. `configDir` resolves relative paths.
+const OPTIONS = {
+  roots: paths,
+  blacklistRE: regExp,
+  providesModuleNodeModules: strings,
+  polyfillModuleNames: pathsOrNames,
+  platforms: strings,
+  preferNativePlatform: ofType('boolean'),
+  assetExts: strings,
+  assetRoots_DEPRECATED: paths,
+  extensions: strings,
+  mocksPattern: regExp,
+  fileWatcher: ofType('object'),
+  resetCache: ofType('boolean'),
+  lazy: ofType('boolean'),
+  enableAssetMap: ofType('boolean'),
+  requireParser: oneOf(['regex', 'ast']),
+  moduleIds: oneOf(['names', 'numeric', 'hashed']),
+  moduleIdRegistryPath: filePath,
+  shouldThrowOnUnresolvedErrors: ofType('function'),
+  ignoreFilePath: ofType('function'),
+  extractRequires: ofType('function'),
+  transformCode: ofType('function'),
+  transformModulePath: filePath,
+  maxWorkers: ofType('number'),
+  babelPreset: babelOptions,
+  failOnCycles: ofType('boolean'),
+  allowedCycles: regExps,
+  resolvers: functions,
+  moduleNameMapper: stringMap,
+  platformModuleNameMapper: platformStringMap,
+  hasteMapSnapshot: booleanOrPath,
+};
+
+/**
+ * Loads the configuration of a project, `projectPath` being a config file or
+ * a directory. For directories, the first `haste.config.js`, or
+ * `package.json` with a `haste` field, found in it or one of its parents is
+ * used.
+ *
+ * `extends` (a preset name, a path or an array of them) is applied first,
+ * relative paths are resolved against the directory of the file they are
+ * declared in and `roots` defaults to that of the project config.
+ *
+ * Returns `{configPath, options}`, or `null` when no config is found.
+ */
+function loadConfig(projectPath = process.cwd()) {
+  const configPath = fs.statSync(projectPath).isDirectory()
+    ? findConfig(path.resolve(projectPath))
+    : path.resolve(projectPath);
+  if (!configPath) {
+    return null;
+  }
+
+  const options = loadConfigFile(configPath, []);
+  if (!options.roots) {
+    options.roots = [path.dirname(configPath)];
+  }
+  return {configPath, options};
+}
+
+function findConfig(dir) {
+  const configFile = path.join(dir, CONFIG_FILE_NAME);
+  if (fs.existsSync(configFile)) {
+    return configFile;
+  }
+
+  const packageJson = path.join(dir, PACKAGE_JSON);
+  if (fs.existsSync(packageJson) && readConfig(packageJson) != null) {
+    return packageJson;
+  }
+
+  const parent = path.dirname(dir);
+  return parent === dir ? null : findConfig(parent);
+}
+
+function loadConfigFile(configPath, loading) {
+  if (loading.indexOf(configPath) !== -1) {
+    throw new Error(
+      `Circular \`extends\` in ${configPath}: ` +
+      loading.concat(configPath).join(' -> ')
+    );
+  }
+
+  const config = readConfig(configPath);
+  if (!isObject(config)) {
+    throw new Error(`Config ${configPath} must export an object`);
+  }
+
+  const configDir = path.dirname(configPath);
+  const extendsList = config.extends == null
+    ? []
+    : [].concat(config.extends);
+  const options = extendsList.reduce((merged, preset) => {
+    if (!isString(preset)) {
+      throw new Error(
+        `\`extends\` in ${configPath} must be a string or an array of ` +
+        `strings, got ${describe(preset)}`
+      );
+    }
+    return Object.assign(merged, loadConfigFile(
+      resolvePreset(preset, configDir),
+      loading.concat(configPath)
+    ));
+  }, {});
+
+  Object.keys(config).forEach(name => {
+    if (name === 'extends') {
+      return;
+    }
+    if (!OPTIONS[name]) {
+      throw new Error(`Unknown option \`${name}\` in ${configPath}`);
+    }
+    try {
+      options[name] = OPTIONS[name](config[name], configDir);
+    } catch (e) {
+      throw new Error(
+        `Option \`${name}\` in ${configPath} must be ${e.message}, ` +
+        `got ${describe(config[name])}`
+      );
+    }
+  });
+  return options;
+}
+
+function readConfig(configPath) {
+  if (path.basename(configPath) === PACKAGE_JSON) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8')).haste;
+  }
+  return require(configPath);
+}
+
+function resolvePreset(preset, configDir) {
+  if (PRESETS[preset]) {
+    return require.resolve(PRESETS[preset]);
+  }
+  if (preset[0] !== '.' && preset[0] !== '/') {
+    throw new Error(
+      `Unknown preset \`${preset}\`, expected one of ` +
+      `${Object.keys(PRESETS).join(', ')} or a path`
+    );
+  }
+  return require.resolve(path.resolve(configDir, preset));
+}
+
+function ofType(type) {
+  return value => {
+    if (typeof value !== type || value === null) {
+      throw new Error(`a ${type}`);
+    }
+    return value;
+  };
+}
+
+function oneOf(values) {
+  return value => {
+    if (values.indexOf(value) === -1) {
+      throw new Error(`one of ${values.map(v => `'${v}'`).join(', ')}`);
+    }
+    return value;
+  };
+}
+
+function strings(value) {
+  if (!Array.isArray(value) || !value.every(isString)) {
+    throw new Error('an array of strings');
+  }
+  return value;
+}
+
+function functions(value) {
+  if (
+    !Array.isArray(value) ||
+    !value.every(item => typeof item === 'function')
+  ) {
+    throw new Error('an array of functions');
+  }
+  return value;
+}
+
+function stringMap(value) {
+  if (!isObject(value) || !Object.keys(value).every(k => isString(value[k]))) {
+    throw new Error('an object of strings');
+  }
+  return value;
+}
+
+function platformStringMap(value) {
+  if (
+    !isObject(value) ||
+    !Object.keys(value).every(platform =>
+      isObject(value[platform]) &&
+      Object.keys(value[platform]).every(k => isString(value[platform][k]))
+    )
+  ) {
+    throw new Error('an object of objects of strings, keyed by platform');
+  }
+  return value;
+}
+
+function paths(value, configDir) {
+  if (!Array.isArray(value) || !value.every(isString)) {
+    throw new Error('an array of paths');
+  }
+  return value.map(p => path.resolve(configDir, p));
+}
+
+// Only paths starting with `./`, `../` or `/` are resolved, other entries
+// are haste or package names.
+function pathsOrNames(value, configDir) {
+  if (!Array.isArray(value) || !value.every(isString)) {
+    throw new Error('an array of paths or module names');
+  }
+  return value.map(p =>
+    /^\.\.?\//.test(p) || path.isAbsolute(p)
+      ? path.resolve(configDir, p)
+      : p
+  );
+}
+
+function filePath(value, configDir) {
+  if (!isString(value)) {
+    throw new Error('a path');
+  }
+  return path.resolve(configDir, value);
+}
+
+function booleanOrPath(value, configDir) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (!isString(value)) {
+    throw new Error('a boolean or a path');
+  }
+  return path.resolve(configDir, value);
+}
+
+function babelOptions(value) {
+  if (
+    value !== true &&
+    typeof value !== 'function' &&
+    !(value !== null && typeof value === 'object' && !Array.isArray(value))
+  ) {
+    throw new Error('true, an object of Babel options or a function');
+  }
+  return value;
+}
+
+function regExp(value) {
+  if (value instanceof RegExp) {
+    return value;
+  }
+  if (!isString(value)) {
+    throw new Error('a RegExp or a string');
+  }
+  try {
+    return new RegExp(value);
+  } catch (e) {
+    throw new Error('a valid regular expression');
+  }
+}
+
+function regExps(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('an array of RegExps or strings');
+  }
+  return value.map(regExp);
+}
+
+function describe(value) {
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+exports.loadConfig = loadConfig;
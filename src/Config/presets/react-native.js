@@ -0,0 +1,22 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+module.exports = {
+  platforms: ['ios', 'android'],
+  preferNativePlatform: true,
+  providesModuleNodeModules: ['react-native'],
+  extensions: ['js', 'json'],
+  assetExts: [
+    'bmp', 'gif', 'jpg', 'jpeg', 'png', 'psd', 'svg', 'webp',
+    'm4v', 'mov', 'mp4', 'mpeg', 'mpg', 'webm',
+    'aac', 'aiff', 'caf', 'm4a', 'mp3', 'wav',
+    'html', 'pdf',
+  ],
+};
@@ -0,0 +1,19 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+module.exports = {
+  platforms: ['web'],
+  preferNativePlatform: false,
+  extensions: ['js', 'json'],
+  assetExts: [
+    'bmp', 'gif', 'jpg', 'jpeg', 'png', 'svg', 'webp',
+    'eot', 'otf', 'ttf', 'woff', 'woff2',
+  ],
+};
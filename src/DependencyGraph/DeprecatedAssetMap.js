@@ -72,6 +72,13 @@ class DeprecatedAssetMap {
     );
   }
 
+  close() {
+    if (!this._disabled) {
+      this._fastfs.close();
+      this._map = Object.create(null);
+    }
+  }
+
   resolve(fromModule, toModuleName) {
     if (this._disabled) {
       return null;
@@ -30,11 +30,54 @@ class HasteMap {
   }
 
   build() {
+    this._map = Object.create(null);
+    return this._processFiles(this._fastfs.getAllFiles());
+  }
 
+  /**
+   * Builds the map from `snapshot`, a previous `toJSON()`, only reading the
+   * files for which `isUnchanged(filePath)` is false. Entries of changed or
+   * deleted files are dropped from the snapshot.
+   */
+  restore(snapshot, isUnchanged) {
     this._map = Object.create(null);
-    const promises = [];
-    this._fastfs.getAllFiles().forEach(filePath => {
+    Object.keys(snapshot).forEach(name => {
+      Object.keys(snapshot[name]).forEach(platform => {
+        const {path: filePath, type} = snapshot[name][platform];
+        if (isUnchanged(filePath)) {
+          if (this._map[name] == null) {
+            this._map[name] = Object.create(null);
+          }
+          this._map[name][platform] = type === 'Package'
+            ? this._moduleCache.getPackage(filePath)
+            : this._moduleCache.getModule(filePath);
+        }
+      });
+    });
+
+    return this._processFiles(
+      this._fastfs.getAllFiles().filter(filePath => !isUnchanged(filePath))
+    );
+  }
+
+  /**
+   * Returns the map as `{[name]: {[platform]: {path, type}}}`, `type` being
+   * `Module` or `Package`, for `restore()`.
+   */
+  toJSON() {
+    const json = Object.create(null);
+    this.getAllModules().forEach(({name, platform, module}) => {
+      if (json[name] == null) {
+        json[name] = Object.create(null);
+      }
+      json[name][platform] = {path: module.path, type: module.type};
+    });
+    return json;
+  }
 
+  _processFiles(files) {
+    const promises = [];
+    files.forEach(filePath => {
       if (!this._helpers.isNodeModulesDir(filePath)) {
         if (this._extensions.indexOf(path.extname(filePath).substr(1)) !== -1) {
           promises.push(this._processHasteModule(filePath));
@@ -99,6 +142,33 @@ class HasteMap {
     return module;
   }
 
+  /**
+   * Returns the names the module or package at `filePath` is registered
+   * under.
+   */
+  getNamesForPath(filePath) {
+    return Object.keys(this._map).filter(name => {
+      const modulesMap = this._map[name];
+      return Object.keys(modulesMap)
+        .some(platform => modulesMap[platform].path === filePath);
+    });
+  }
+
+  /**
+   * Returns every haste module as `{name, platform, module}`, sorted by
+   * name. `platform` is `generic` for modules without a platform extension.
+   */
+  getAllModules() {
+    const modules = [];
+    Object.keys(this._map).sort().forEach(name => {
+      const modulesMap = this._map[name];
+      Object.keys(modulesMap).sort().forEach(platform =>
+        modules.push({name, platform, module: modulesMap[platform]})
+      );
+    });
+    return modules;
+  }
+
   _processHasteModule(file) {
     const module = this._moduleCache.getModule(file);
     return module.isHaste().then(
@@ -0,0 +1,86 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const debug = require('debug')('DependencyGraph');
+const denodeify = require('denodeify');
+const fs = require('graceful-fs');
+
+const readFile = denodeify(fs.readFile);
+const rename = denodeify(fs.rename);
+const unlink = denodeify(fs.unlink);
+const writeFile = denodeify(fs.writeFile);
+
+// Snapshots written with another version are ignored.
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Reads the snapshot at `snapshotPath`, `{files, hasteMap}` with `files`
+ * mapping the crawled files to their mtime and `hasteMap` being
+ * `HasteMap.toJSON()`. Resolves to `null` when there is no snapshot, or when
+ * it is unreadable or was written by another version or for another `key`.
+ */
+function read(snapshotPath, key) {
+  return readFile(snapshotPath, 'utf8').then(
+    content => {
+      let snapshot;
+      try {
+        snapshot = JSON.parse(content);
+      } catch (e) {
+        debug('Ignoring malformed haste map snapshot %s', snapshotPath);
+        return null;
+      }
+      if (snapshot.version !== SNAPSHOT_VERSION || snapshot.key !== key) {
+        debug('Ignoring outdated haste map snapshot %s', snapshotPath);
+        return null;
+      }
+      if (!isObject(snapshot.files) || !isObject(snapshot.hasteMap)) {
+        debug('Ignoring malformed haste map snapshot %s', snapshotPath);
+        return null;
+      }
+      return {files: snapshot.files, hasteMap: snapshot.hasteMap};
+    },
+    error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return null;
+    }
+  );
+}
+
+/**
+ * Writes `{files, hasteMap}` to `snapshotPath`, through a temporary file so
+ * that concurrent processes never read a partial snapshot.
+ */
+function write(snapshotPath, key, {files, hasteMap}) {
+  const tmpPath = `${snapshotPath}.${process.pid}.tmp`;
+  return writeFile(tmpPath, JSON.stringify({
+    version: SNAPSHOT_VERSION,
+    key,
+    files,
+    hasteMap,
+  })).then(() => rename(tmpPath, snapshotPath));
+}
+
+function remove(snapshotPath) {
+  return unlink(snapshotPath).catch(error => {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  });
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object';
+}
+
+exports.read = read;
+exports.remove = remove;
+exports.write = write;
@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const ROOT_DIR_TOKEN = /<rootDir>/g;
+
+/**
+ * Rewrites module names before they are resolved. Rules map a pattern to a
+ * replacement and are tried in order, the first match wins:
+ *
+ * - patterns starting with `^` are regular expressions, replacements can
+ *   refer to their groups with `$1`...
+ * - other patterns are prefixes, matching the name itself and the paths
+ *   under it: with `lodash: 'lodash-es'`, `lodash/fp` becomes `lodash-es/fp`
+ *
+ * `<rootDir>` in replacements stands for `rootDir`. The rules of
+ * `platformRules[platform]` take precedence over `rules`.
+ */
+class ModuleNameMapper {
+  constructor({rules = {}, platformRules = {}, rootDir}) {
+    this._rules = compileRules(rules, rootDir);
+    this._platformRules = Object.create(null);
+    Object.keys(platformRules).forEach(platform => {
+      this._platformRules[platform] =
+        compileRules(platformRules[platform], rootDir);
+    });
+  }
+
+  map(moduleName, platform) {
+    const rules = (platform != null && this._platformRules[platform] || [])
+      .concat(this._rules);
+    for (let i = 0; i < rules.length; i++) {
+      const mapped = rules[i](moduleName);
+      if (mapped != null) {
+        return mapped;
+      }
+    }
+    return moduleName;
+  }
+}
+
+function compileRules(rules, rootDir) {
+  return Object.keys(rules).map(pattern => {
+    const replacement = rules[pattern].replace(ROOT_DIR_TOKEN, rootDir);
+    if (pattern[0] !== '^') {
+      return moduleName => {
+        if (moduleName === pattern) {
+          return replacement;
+        }
+        if (moduleName.indexOf(pattern + '/') === 0) {
+          return replacement + moduleName.slice(pattern.length);
+        }
+        return null;
+      };
+    }
+
+    let re;
+    try {
+      re = new RegExp(pattern);
+    } catch (e) {
+      throw new Error(`Invalid module name pattern ${pattern}: ${e.message}`);
+    }
+    return moduleName =>
+      re.test(moduleName) ? moduleName.replace(re, replacement) : null;
+  });
+}
+
+module.exports = ModuleNameMapper;
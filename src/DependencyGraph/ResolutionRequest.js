@@ -11,16 +11,20 @@
 const debug = require('debug')('DependencyGraph');
 const util = require('util');
 const path = require('../fastpath');
-const realPath = require('path');
 const isAbsolutePath = require('absolute-path');
 const getAssetDataFromName = require('../utils/getAssetDataFromName');
 const throat = require('throat')(Promise);
 
 const MAX_CONCURRENT_FILE_READS = 32;
+const EMPTY_MODULE_NAME = '<empty>';
 const getDependencies = throat(
   MAX_CONCURRENT_FILE_READS,
   (module, transformOptions) => module.getDependencies(transformOptions)
 );
+const getAsyncDependencies = throat(
+  MAX_CONCURRENT_FILE_READS,
+  (module, transformOptions) => module.getAsyncDependencies(transformOptions)
+);
 
 class ResolutionRequest {
   constructor({
@@ -33,6 +37,10 @@ class ResolutionRequest {
     moduleCache,
     fastfs,
     shouldThrowOnUnresolvedErrors,
+    resolvers = [],
+    moduleNameMapper,
+    failOnCycles = false,
+    allowedCycles = [],
   }) {
     this._platform = platform;
     this._preferNativePlatform = preferNativePlatform;
@@ -43,6 +51,10 @@ class ResolutionRequest {
     this._moduleCache = moduleCache;
     this._fastfs = fastfs;
     this._shouldThrowOnUnresolvedErrors = shouldThrowOnUnresolvedErrors;
+    this._resolvers = resolvers;
+    this._moduleNameMapper = moduleNameMapper;
+    this._failOnCycles = failOnCycles;
+    this._allowedCycles = allowedCycles;
     this._resetResolutionCache();
   }
 
@@ -58,10 +70,42 @@ class ResolutionRequest {
   resolveDependency(fromModule, toModuleName) {
     const resHash = resolutionHash(fromModule.path, toModuleName);
 
-    if (this._immediateResolutionCache[resHash]) {
-      return Promise.resolve(this._immediateResolutionCache[resHash]);
+    const cached = this._immediateResolutionCache[resHash];
+    if (cached && cached.module) {
+      return Promise.resolve(cached.module);
+    }
+
+    // Aliases apply before plugins and the built-in resolution, which only
+    // see the mapped name. The result is cached for the original one too.
+    const moduleName = this._moduleNameMapper
+      ? this._moduleNameMapper.map(toModuleName, this._platform)
+      : toModuleName;
+    if (moduleName === toModuleName) {
+      return this._resolveMappedDependency(fromModule, toModuleName);
     }
 
+    debug('Mapped module %s to %s', toModuleName, moduleName);
+    return this._resolveMappedDependency(fromModule, moduleName)
+      .then(module => {
+        if (module) {
+          this._cacheResolution(fromModule, moduleName, resHash, module);
+        }
+        return module;
+      });
+  }
+
+  _resolveMappedDependency(fromModule, toModuleName) {
+    if (this._resolvers.length) {
+      return this._resolveWithPlugins(fromModule, toModuleName).then(
+        module => module || this._resolveBuiltin(fromModule, toModuleName)
+      );
+    }
+
+    return this._resolveBuiltin(fromModule, toModuleName);
+  }
+
+  _resolveBuiltin(fromModule, toModuleName) {
+    const resHash = resolutionHash(fromModule.path, toModuleName);
     const asset_DEPRECATED = this._deprecatedAssetMap.resolve(
       fromModule,
       toModuleName
@@ -70,10 +114,8 @@ class ResolutionRequest {
       return Promise.resolve(asset_DEPRECATED);
     }
 
-    const cacheResult = (result) => {
-      this._immediateResolutionCache[resHash] = result;
-      return result;
-    };
+    const cacheResult = (result) =>
+      this._cacheResolution(fromModule, toModuleName, resHash, result);
 
     const forgive = (error) => {
       if (
@@ -110,16 +152,95 @@ class ResolutionRequest {
       );
   }
 
+  /**
+   * Asks the `resolvers` plugins, in order, to resolve `toModuleName`. Each
+   * is called with `(fromModule, toModuleName, platform)` and returns, or
+   * resolves to:
+   *
+   * - `undefined` or `null` to defer to the next plugin, and eventually to
+   *   the built-in haste and node resolution
+   * - a path, absolute or relative to `fromModule`, resolved like a
+   *   relative require
+   * - `{name, code}` for a virtual module, `name` defaulting to
+   *   `toModuleName`
+   * - `false` for an empty module
+   *
+   * Resolves to `null` when every plugin deferred.
+   */
+  _resolveWithPlugins(fromModule, toModuleName) {
+    const resHash = resolutionHash(fromModule.path, toModuleName);
+    return this._resolvers.reduce(
+      (previous, resolver) => previous.then(result =>
+        result == null
+          ? resolver(fromModule, toModuleName, this._platform)
+          : result
+      ),
+      Promise.resolve(null)
+    ).then(result => {
+      if (result == null) {
+        return null;
+      }
+
+      let module;
+      if (result === false) {
+        module = this._moduleCache.getVirtualModule(EMPTY_MODULE_NAME, '');
+      } else if (typeof result === 'string') {
+        module = this._resolveFileOrDir(fromModule, result);
+      } else if (
+        typeof result === 'object' &&
+        typeof result.code === 'string'
+      ) {
+        const name = result.name || toModuleName;
+        // Placed next to the requiring module, so that its own requires
+        // resolve from there.
+        module = this._moduleCache.getVirtualModule(
+          name,
+          result.code,
+          isAbsolutePath(name)
+            ? name
+            : path.join(path.dirname(fromModule.path), name)
+        );
+      } else {
+        throw new Error(
+          `Resolver plugin returned an invalid result for ${toModuleName} ` +
+          `from ${fromModule.path}: ${util.inspect(result)}`
+        );
+      }
+
+      return Promise.resolve(module).then(resolved =>
+        this._cacheResolution(fromModule, toModuleName, resHash, resolved)
+      );
+    });
+  }
+
+  /**
+   * Pushes the entry and its sync dependencies, in order, to `response`.
+   * `entryPath` defaults to the entry the request was created for.
+   *
+   * Every module loaded with `import()` or `require.async()` that is not
+   * already part of that list starts an async chunk made of itself and the
+   * sync dependencies it adds. Modules needed by several async chunks are
+   * moved to shared chunks, see `ResolutionResponse.getChunks()`.
+   *
+   * Circular sync requires are recorded on `response`, see `getCycles()`.
+   * With `failOnCycles`, a cycle none of whose modules matches
+   * `allowedCycles` rejects with a `CircularDependencyError`.
+   */
   getOrderedDependencies({
     response,
+    entryPath = this._entryPath,
     mocksPattern,
     transformOptions,
     onProgress,
     recursive = true,
   }) {
     return this._getAllMocks(mocksPattern).then(allMocks => {
-      const entry = this._moduleCache.getModule(this._entryPath);
+      const entry = this._moduleCache.getModule(entryPath);
       const mocks = Object.create(null);
+      const asyncEntries = [];
+      const seenAsyncEntries = Object.create(null);
+      const pairsByModule = Object.create(null);
+      const optionsKey = JSON.stringify(transformOptions) || '';
       const visited = Object.create(null);
       visited[entry.hash()] = true;
 
@@ -127,12 +248,36 @@ class ResolutionRequest {
       let totalModules = 1;
       let finishedModules = 0;
 
-      const collect = (mod) => {
-        return getDependencies(mod, transformOptions).then(
-          depNames => Promise.all(
-            depNames.map(name => this.resolveDependency(mod, name))
-          ).then((dependencies) => [depNames, dependencies])
-        ).then(([depNames, dependencies]) => {
+      const resolveAll = (mod, names) => Promise.all(
+        names.map(name => this.resolveDependency(mod, name))
+      );
+
+      const collectAsync = (mod) => {
+        if (!recursive) {
+          return Promise.resolve(null);
+        }
+
+        return getAsyncDependencies(mod, transformOptions).then(
+          depNames => resolveAll(mod, depNames).then(dependencies => {
+            const pairs = [];
+            dependencies.forEach((modDep, i) => {
+              if (modDep != null) {
+                pairs.push([depNames[i], modDep]);
+              }
+            });
+            return {pairs, complete: pairs.length === dependencies.length};
+          })
+        );
+      };
+
+      const resolvePairs = (mod) => {
+        return Promise.all([
+          getDependencies(mod, transformOptions),
+          collectAsync(mod),
+        ]).then(
+          ([depNames, asyncResult]) => resolveAll(mod, depNames)
+            .then((dependencies) => [depNames, dependencies, asyncResult])
+        ).then(([depNames, dependencies, asyncResult]) => {
           if (allMocks) {
             const list = [mod.getName()];
             const pkg = mod.getPackage();
@@ -149,11 +294,11 @@ class ResolutionRequest {
                   mocks[name] = allMocks[name];
                 }
               });
-              return [depNames, dependencies];
+              return [depNames, dependencies, asyncResult];
             });
           }
-          return [depNames, dependencies];
-        }).then(([depNames, dependencies]) => {
+          return [depNames, dependencies, asyncResult];
+        }).then(([depNames, dependencies, asyncResult]) => {
           const filteredPairs = [];
 
           dependencies.forEach((modDep, i) => {
@@ -178,8 +323,52 @@ class ResolutionRequest {
             }
             return filteredPairs.push([name, modDep]);
           });
+          return {
+            pairs: filteredPairs,
+            asyncPairs: asyncResult && asyncResult.pairs,
+            complete: dependencies.every(modDep => modDep != null) &&
+              (!asyncResult || asyncResult.complete),
+          };
+        });
+      };
+
+      // The requires of modules untouched since the last traversal are
+      // reused as they are, see `invalidateFile()`. Mocks are collected
+      // along the way and always need a full traversal, and unresolved
+      // requires are tried again.
+      const getPairs = (mod) => {
+        const previous = this._collectedPairs[mod.hash()];
+        if (
+          !allMocks &&
+          previous &&
+          previous.optionsKey === optionsKey &&
+          (previous.asyncPairs || !recursive)
+        ) {
+          return Promise.resolve(previous);
+        }
+        return resolvePairs(mod).then(({pairs, asyncPairs, complete}) => {
+          if (!allMocks && complete) {
+            this._collectedPairs[mod.hash()] =
+              {path: mod.path, optionsKey, pairs, asyncPairs};
+          }
+          return {pairs, asyncPairs};
+        });
+      };
+
+      const collect = (mod, visited) => {
+        return getPairs(mod).then(({pairs: filteredPairs, asyncPairs}) => {
+          if (asyncPairs) {
+            response.setResolvedAsyncDependencyPairs(mod, asyncPairs);
+            asyncPairs.forEach(([, modDep]) => {
+              if (!seenAsyncEntries[modDep.hash()]) {
+                seenAsyncEntries[modDep.hash()] = true;
+                asyncEntries.push(modDep);
+              }
+            });
+          }
 
           response.setResolvedDependencyPairs(mod, filteredPairs);
+          pairsByModule[mod.hash()] = filteredPairs;
 
           const newDependencies =
             filteredPairs.filter(([, modDep]) => !visited[modDep.hash()]);
@@ -192,15 +381,60 @@ class ResolutionRequest {
           return Promise.all(
             newDependencies.map(([depName, modDep]) => {
               visited[modDep.hash()] = true;
-              return Promise.all([modDep, recursive ? collect(modDep) : []]);
+              return Promise.all([
+                modDep,
+                recursive ? collect(modDep, visited) : [],
+              ]);
             })
           );
         });
       };
 
-      return collect(entry).then(deps => {
+      // Async entries can discover further async entries, so the list is
+      // walked until it stops growing. Modules of the main chunk are always
+      // loaded already and never become part of an async chunk.
+      const asyncChunks = [];
+      const collectAsyncChunks = (index) => {
+        if (index === asyncEntries.length) {
+          return Promise.resolve();
+        }
+
+        const asyncEntry = asyncEntries[index];
+        if (visited[asyncEntry.hash()]) {
+          return collectAsyncChunks(index + 1);
+        }
+
+        const chunkVisited = Object.create(visited);
+        chunkVisited[asyncEntry.hash()] = true;
+        return collect(asyncEntry, chunkVisited).then(deps => {
+          asyncChunks.push({
+            entry: asyncEntry,
+            modules: [asyncEntry].concat(recursiveFlatten(deps)),
+          });
+          return collectAsyncChunks(index + 1);
+        });
+      };
+
+      return collect(entry, visited).then(deps => {
         recursiveFlatten(deps).forEach(dep => response.pushDependency(dep));
+        return collectAsyncChunks(0);
+      }).then(() => {
+        response.setAsyncChunks(splitSharedModules(asyncChunks));
         response.setMocks(mocks);
+
+        const cycles = findCycles(
+          [entry].concat(asyncChunks.map(chunk => chunk.entry)),
+          pairsByModule
+        );
+        response.setCycles(cycles);
+        const disallowedCycles = this._failOnCycles
+          ? cycles.filter(cycle => !cycle.some(modulePath =>
+              this._allowedCycles.some(pattern => pattern.test(modulePath))
+            ))
+          : [];
+        if (disallowedCycles.length) {
+          throw new CircularDependencyError(disallowedCycles);
+        }
       });
     });
   }
@@ -290,7 +524,11 @@ class ResolutionRequest {
   }
 
   _resolveNodeDependency(fromModule, toModuleName) {
-    if (toModuleName[0] === '.' || toModuleName[1] === '/') {
+    if (
+      toModuleName[0] === '.' ||
+      toModuleName[1] === '/' ||
+      isAbsolutePath(toModuleName)
+    ) {
       return this._resolveFileOrDir(fromModule, toModuleName);
     } else {
       return this._redirectRequire(fromModule, toModuleName).then(
@@ -305,7 +543,7 @@ class ResolutionRequest {
 
           const searchQueue = [];
           for (let currDir = path.dirname(fromModule.path);
-               currDir !== realPath.parse(fromModule.path).root;
+               path.dirname(currDir) !== currDir;
                currDir = path.dirname(currDir)) {
             searchQueue.push(
               path.join(currDir, 'node_modules', realModuleName)
@@ -426,11 +664,85 @@ To resolve try the following:
 
   _resetResolutionCache() {
     this._immediateResolutionCache = Object.create(null);
+    this._collectedPairs = Object.create(null);
+  }
+
+  /**
+   * `toModuleName` is the name that was resolved, after aliases, so that
+   * `invalidateFile()` can tell which files it could refer to.
+   */
+  _cacheResolution(fromModule, toModuleName, resHash, module) {
+    this._immediateResolutionCache[resHash] = {
+      fromPath: fromModule.path,
+      toModuleName,
+      module,
+    };
+    return module;
+  }
+
+  /**
+   * Drops the cached resolutions a change of the file at `filePath` can
+   * affect: those from it or to it, those of names that could refer to it
+   * (same base name, or one of its haste `hasteNames`), and all of them when
+   * it is a `package.json`, which can redirect any require. The next
+   * traversal only reads the requires of the file itself and of the modules
+   * whose resolutions were dropped again.
+   */
+  invalidateFile(filePath, hasteNames = []) {
+    if (path.basename(filePath) === 'package.json') {
+      this._resetResolutionCache();
+      return;
+    }
+
+    const stems = [nameStem(filePath)];
+    if (stems[0] === 'index') {
+      stems.push(nameStem(path.dirname(filePath)));
+    }
+    const cache = this._immediateResolutionCache;
+    const stalePaths = Object.create(null);
+    stalePaths[filePath] = true;
+    Object.keys(cache).forEach(resHash => {
+      const {fromPath, toModuleName, module} = cache[resHash];
+      if (
+        fromPath === filePath ||
+        (module && module.path === filePath) ||
+        stems.indexOf(nameStem(toModuleName)) !== -1 ||
+        hasteNames.some(name =>
+          toModuleName === name || toModuleName.indexOf(name + '/') === 0
+        )
+      ) {
+        delete cache[resHash];
+        stalePaths[fromPath] = true;
+      }
+    });
+
+    const collectedPairs = this._collectedPairs;
+    Object.keys(collectedPairs).forEach(hash => {
+      if (stalePaths[collectedPairs[hash].path]) {
+        delete collectedPairs[hash];
+      }
+    });
+  }
+
+  /**
+   * Drops the cached resolutions when there are plugins. They are asked
+   * first for every require, so any resolution can depend on them.
+   */
+  invalidatePlugins() {
+    if (this._resolvers.length) {
+      this._resetResolutionCache();
+    }
   }
 
 }
 
 
+// `lib/Foo.ios.js`, `./Foo`, `Foo@2x.png` and `node_modules/Foo` share
+// the stem `Foo`.
+function nameStem(name) {
+  return path.basename(name).split(/[.@]/)[0];
+}
+
 function resolutionHash(modulePath, depName) {
   return `${path.resolve(modulePath)}:${depName}`;
 }
@@ -450,6 +762,59 @@ function UnableToResolveError(fromModule, toModule, message) {
 
 util.inherits(UnableToResolveError, Error);
 
+function CircularDependencyError(cycles) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.message = 'Circular dependencies found:\n' + cycles.map(
+    cycle => '  ' + cycle.concat(cycle[0]).join(' -> ')
+  ).join('\n');
+  this.cycles = cycles;
+  this.type = this.name = 'CircularDependencyError';
+}
+
+util.inherits(CircularDependencyError, Error);
+
+/**
+ * Walks the sync requires depth first from `entries` and returns a cycle,
+ * as the module paths in require order, for every require leading back to a
+ * module being walked. Async requires do not run while modules initialize
+ * and are left out.
+ */
+function findCycles(entries, pairsByModule) {
+  const cycles = [];
+  const ON_STACK = 1;
+  const DONE = 2;
+  const state = Object.create(null);
+
+  entries.forEach(entry => {
+    if (state[entry.hash()]) {
+      return;
+    }
+    state[entry.hash()] = ON_STACK;
+    const stack = [{module: entry, index: 0}];
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const pairs = pairsByModule[frame.module.hash()] || [];
+      if (frame.index === pairs.length) {
+        state[frame.module.hash()] = DONE;
+        stack.pop();
+        continue;
+      }
+
+      const dependency = pairs[frame.index++][1];
+      const hash = dependency.hash();
+      if (state[hash] === ON_STACK) {
+        const start = stack.findIndex(({module}) => module.hash() === hash);
+        cycles.push(stack.slice(start).map(({module}) => module.path));
+      } else if (!state[hash]) {
+        state[hash] = ON_STACK;
+        stack.push({module: dependency, index: 0});
+      }
+    }
+  });
+  return cycles;
+}
+
 function normalizePath(modulePath) {
   if (path.sep === '/') {
     modulePath = path.normalize(modulePath);
@@ -460,6 +825,58 @@ function normalizePath(modulePath) {
   return modulePath.replace(/\/$/, '');
 }
 
+/**
+ * Moves modules that are part of several async chunks into shared chunks,
+ * one per distinct set of chunks that need them. Chunk ids start at 1, the
+ * main chunk being 0.
+ */
+function splitSharedModules(asyncChunks) {
+  const owners = Object.create(null);
+  asyncChunks.forEach((chunk, index) => chunk.modules.forEach(module => {
+    const hash = module.hash();
+    owners[hash] = owners[hash] || [];
+    owners[hash].push(index);
+  }));
+
+  const chunks = asyncChunks.map(({entry}, index) => ({
+    id: index + 1,
+    entry,
+    modules: [],
+    dependsOn: [],
+  }));
+  const sharedChunks = [];
+  const sharedChunksByOwners = Object.create(null);
+
+  asyncChunks.forEach((chunk, index) => chunk.modules.forEach(module => {
+    const moduleOwners = owners[module.hash()];
+    if (moduleOwners.length === 1) {
+      chunks[index].modules.push(module);
+      return;
+    }
+
+    const key = moduleOwners.join(',');
+    let sharedChunk = sharedChunksByOwners[key];
+    if (!sharedChunk) {
+      sharedChunk = {
+        id: asyncChunks.length + sharedChunks.length + 1,
+        entry: null,
+        modules: [],
+        dependsOn: [],
+      };
+      sharedChunksByOwners[key] = sharedChunk;
+      sharedChunks.push(sharedChunk);
+      moduleOwners.forEach(
+        owner => chunks[owner].dependsOn.push(sharedChunk.id)
+      );
+    }
+    if (moduleOwners[0] === index) {
+      sharedChunk.modules.push(module);
+    }
+  }));
+
+  return chunks.concat(sharedChunks);
+}
+
 function recursiveFlatten(array) {
   return Array.prototype.concat.apply(
     Array.prototype,
@@ -8,6 +8,8 @@
  */
 'use strict';
 
+const exportGraph = require('./exportGraph');
+
 class ResolutionResponse {
   constructor({transformOptions}) {
     this.transformOptions = transformOptions;
@@ -15,7 +17,10 @@ class ResolutionResponse {
     this.mainModuleId = null;
     this.mocks = null;
     this.numPrependedDependencies = 0;
+    this._cycles = [];
     this._mappings = Object.create(null);
+    this._asyncMappings = Object.create(null);
+    this._asyncChunks = [];
     this._finalized = false;
   }
 
@@ -65,8 +70,16 @@ class ResolutionResponse {
     this.dependencies.push(module);
   }
 
+  /**
+   * Adds `module` before the main module, taking it out of the dependencies
+   * that follow the main module if it was among them.
+   */
   prependDependency(module) {
     this._assertNotFinalized();
+    const index = this.dependencies.indexOf(module);
+    if (index > this.numPrependedDependencies) {
+      this.dependencies.splice(index, 1);
+    }
     this.dependencies.unshift(module);
     this.numPrependedDependencies += 1;
   }
@@ -79,14 +92,210 @@ class ResolutionResponse {
     }
   }
 
+  setResolvedAsyncDependencyPairs(module, pairs) {
+    this._assertNotFinalized();
+    const hash = module.hash();
+    if (this._asyncMappings[hash] == null) {
+      this._asyncMappings[hash] = pairs;
+    }
+  }
+
+  setAsyncChunks(chunks) {
+    this._assertNotFinalized();
+    this._asyncChunks = chunks;
+  }
+
   setMocks(mocks) {
     this.mocks = mocks;
   }
 
+  setCycles(cycles) {
+    this._assertNotFinalized();
+    this._cycles = cycles;
+  }
+
+  /**
+   * Returns the circular requires found while resolving, each as the paths
+   * of the modules involved in require order: the last one requires the
+   * first.
+   */
+  getCycles() {
+    return this._cycles;
+  }
+
   getResolvedDependencyPairs(module) {
     this._assertFinalized();
     return this._mappings[module.hash()];
   }
+
+  getResolvedAsyncDependencyPairs(module) {
+    this._assertFinalized();
+    return this._asyncMappings[module.hash()] || [];
+  }
+
+  /**
+   * Returns the require chains leading from the main module to `module`. A
+   * chain is a list of `{specifier, module, async}` hops, starting with the
+   * main module and a `null` specifier. Only one of the shortest chains is
+   * returned unless `all` is set, in which case every chain that does not go
+   * through a module twice is, shortest first, up to `limit` chains. Returns
+   * `[]` when `module` is not a dependency.
+   */
+  whyIncluded(module, {all = false, limit = Infinity} = {}) {
+    this._assertFinalized();
+    const start = {specifier: null, module: this._mainModule, async: false};
+    const targetHash = module.hash();
+    if (!all) {
+      const visited = Object.create(null);
+      visited[start.module.hash()] = true;
+      const queue = [[start]];
+      while (queue.length) {
+        const chain = queue.shift();
+        const last = chain[chain.length - 1].module;
+        if (last.hash() === targetHash) {
+          return [chain];
+        }
+        this._dependencyHops(last).forEach(hop => {
+          if (!visited[hop.module.hash()]) {
+            visited[hop.module.hash()] = true;
+            queue.push(chain.concat(hop));
+          }
+        });
+      }
+      return [];
+    }
+
+    // Only modules the target can be reached from are worth walking into.
+    const dependents = Object.create(null);
+    const seen = Object.create(null);
+    seen[start.module.hash()] = true;
+    const queue = [start.module];
+    while (queue.length) {
+      const current = queue.shift();
+      this._dependencyHops(current).forEach(hop => {
+        const hash = hop.module.hash();
+        (dependents[hash] = dependents[hash] || []).push(current);
+        if (!seen[hash]) {
+          seen[hash] = true;
+          queue.push(hop.module);
+        }
+      });
+    }
+
+    // Number of requires from each module the target can be reached from to
+    // the target.
+    const distance = Object.create(null);
+    const pending = seen[targetHash] ? [module] : [];
+    distance[targetHash] = 0;
+    while (pending.length) {
+      const current = pending.shift();
+      (dependents[current.hash()] || []).forEach(dependent => {
+        if (distance[dependent.hash()] == null) {
+          distance[dependent.hash()] = distance[current.hash()] + 1;
+          pending.push(dependent);
+        }
+      });
+    }
+
+    // Chains are extended in the order of the shortest chain they can lead
+    // to, so that they come out shortest first and the walk stops after
+    // `limit` of them, however many there are.
+    const chains = [];
+    const byLength = [];
+    const push = chain => {
+      const last = chain[chain.length - 1].module;
+      const length = chain.length + distance[last.hash()];
+      (byLength[length] = byLength[length] || []).push(chain);
+    };
+    if (seen[targetHash]) {
+      push([start]);
+    }
+    for (
+      let length = 0;
+      length < byLength.length && chains.length < limit;
+      length++
+    ) {
+      const pendingChains = byLength[length] || [];
+      while (pendingChains.length && chains.length < limit) {
+        const chain = pendingChains.pop();
+        const last = chain[chain.length - 1].module;
+        if (last.hash() === targetHash) {
+          chains.push(chain);
+          continue;
+        }
+        // Pushed in reverse, so that chains of the same length come out in
+        // require order.
+        this._dependencyHops(last).reverse().forEach(hop => {
+          const hash = hop.module.hash();
+          if (
+            distance[hash] != null &&
+            !chain.some(link => link.module.hash() === hash)
+          ) {
+            push(chain.concat(hop));
+          }
+        });
+      }
+    }
+    return chains;
+  }
+
+  _dependencyHops(module) {
+    const hops = [];
+    const hash = module.hash();
+    (this._mappings[hash] || []).forEach(([specifier, dependency]) => {
+      if (dependency) {
+        hops.push({specifier, module: dependency, async: false});
+      }
+    });
+    (this._asyncMappings[hash] || []).forEach(([specifier, dependency]) => {
+      if (dependency) {
+        hops.push({specifier, module: dependency, async: true});
+      }
+    });
+    return hops;
+  }
+
+  /**
+   * Returns the chunk graph: the main chunk (id 0) holding `dependencies`,
+   * followed by one chunk per async entry and the shared chunks. Each chunk
+   * lists the ids of the shared chunks that must be loaded with it in
+   * `dependsOn`.
+   */
+  getChunks() {
+    this._assertFinalized();
+    return [{
+      id: 0,
+      entry: this._mainModule,
+      modules: this.dependencies,
+      dependsOn: [],
+    }].concat(this._asyncChunks);
+  }
+
+  /**
+   * Resolves to the graph of modules and requires, see
+   * `exportGraph.buildGraph()` for its schema and the options to collapse
+   * `node_modules` packages and filter by directory.
+   */
+  toGraphJSON(options) {
+    this._assertFinalized();
+    return exportGraph.buildGraph(this, options);
+  }
+
+  /**
+   * Resolves to the graph as GraphViz source, takes the options of
+   * `toGraphJSON()`.
+   */
+  toDOT(options) {
+    return this.toGraphJSON(options).then(exportGraph.toDOT);
+  }
+
+  /**
+   * Resolves to the graph as a Mermaid flowchart, takes the options of
+   * `toGraphJSON()`.
+   */
+  toMermaid(options) {
+    return this.toGraphJSON(options).then(exportGraph.toMermaid);
+  }
 }
 
 module.exports = ResolutionResponse;
@@ -0,0 +1,217 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const path = require('../fastpath');
+const getPlatformExtension = require('../utils/getPlatformExtension');
+
+// Bumped whenever the JSON output changes shape.
+const GRAPH_VERSION = 1;
+
+// Everything up to the package directory of the innermost `node_modules`.
+const PACKAGE_DIR_RE = /^(.*[\\/]node_modules[\\/](?:@[^\\/]+[\\/])?[^\\/]+)/;
+
+/**
+ * Builds the graph of a finalized `resolutionResponse`:
+ *
+ *   {version, entry, nodes: [{path, name, type, platform}],
+ *    edges: [{from, to, specifier, async}]}
+ *
+ * Nodes and edges are identified by module path and sorted, so that graphs
+ * can be diffed. Options:
+ *
+ * - `rootDir`: paths are made relative to it, absolute by default
+ * - `collapseNodeModules`: every package under `node_modules` becomes a
+ *   single node of type `package`, named after the package
+ * - `directories`: only modules in these directories (relative to
+ *   `rootDir`, or to the working directory) are kept
+ */
+function buildGraph(resolutionResponse, {
+  rootDir,
+  collapseNodeModules = false,
+  directories,
+} = {}) {
+  const chunks = resolutionResponse.getChunks();
+  const modules = chunks.reduce(
+    (all, chunk) => all.concat(chunk.modules),
+    []
+  );
+  const baseDir = path.resolve(rootDir || '.');
+  const includedDirs = directories &&
+    directories.map(dir => path.resolve(baseDir, dir) + path.sep);
+  const displayPath = modulePath =>
+    rootDir ? path.relative(rootDir, modulePath) : modulePath;
+  const packageDir = modulePath => {
+    const match = collapseNodeModules && modulePath.match(PACKAGE_DIR_RE);
+    return match ? match[1] : null;
+  };
+  const isIncluded = modulePath => !includedDirs ||
+    includedDirs.some(dir => modulePath.indexOf(dir) === 0);
+
+  return Promise.all(modules.map(module => module.getName()))
+    .then(names => {
+      const nodes = Object.create(null);
+      const nodePaths = Object.create(null);
+      modules.forEach((module, i) => {
+        if (!isIncluded(module.path)) {
+          return;
+        }
+        const dir = packageDir(module.path);
+        const nodePath = displayPath(dir || module.path);
+        nodePaths[module.hash()] = nodePath;
+        if (!nodes[nodePath]) {
+          nodes[nodePath] = dir
+            ? {
+              path: nodePath,
+              name: packageName(dir),
+              type: 'package',
+              platform: null,
+            }
+            : {
+              path: nodePath,
+              // Modules without a haste name are named after their path.
+              name: path.isAbsolute(names[i])
+                ? displayPath(names[i])
+                : names[i],
+              type: moduleType(module),
+              platform: getPlatformExtension(module.path),
+            };
+        }
+      });
+
+      const edges = Object.create(null);
+      modules.forEach(module => {
+        const from = nodePaths[module.hash()];
+        if (from == null) {
+          return;
+        }
+        const addEdges = (pairs, async) => (pairs || []).forEach(
+          ([specifier, dependency]) => {
+            const to = dependency && nodePaths[dependency.hash()];
+            if (to == null || (from === to && packageDir(module.path))) {
+              return;
+            }
+            const edge = {from, to, specifier, async};
+            edges[JSON.stringify(edge)] = edge;
+          }
+        );
+        addEdges(resolutionResponse.getResolvedDependencyPairs(module), false);
+        addEdges(
+          resolutionResponse.getResolvedAsyncDependencyPairs(module),
+          true
+        );
+      });
+
+      const entry = chunks[0].entry;
+      return {
+        version: GRAPH_VERSION,
+        entry: nodePaths[entry.hash()] || null,
+        nodes: Object.keys(nodes).sort().map(nodePath => nodes[nodePath]),
+        edges: Object.keys(edges).map(key => edges[key]).sort(compareEdges),
+      };
+    });
+}
+
+/**
+ * GraphViz source for a graph built by `buildGraph()`. Async requires are
+ * dashed, packages are boxes and the entry is bold.
+ */
+function toDOT(graph) {
+  const lines = ['digraph dependencies {'];
+  graph.nodes.forEach(node => {
+    const attributes = [`label=${JSON.stringify(node.name)}`];
+    if (node.type === 'package') {
+      attributes.push('shape=box');
+    }
+    if (node.path === graph.entry) {
+      attributes.push('style=bold');
+    }
+    lines.push(`  ${JSON.stringify(node.path)} [${attributes.join(', ')}];`);
+  });
+  graph.edges.forEach(edge => {
+    const attributes = [`label=${JSON.stringify(edge.specifier)}`];
+    if (edge.async) {
+      attributes.push('style=dashed');
+    }
+    lines.push(
+      `  ${JSON.stringify(edge.from)} -> ${JSON.stringify(edge.to)} ` +
+      `[${attributes.join(', ')}];`
+    );
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Mermaid flowchart for a graph built by `buildGraph()`. Nodes get ids in
+ * path order and async requires are dotted.
+ */
+function toMermaid(graph) {
+  const ids = Object.create(null);
+  const lines = ['graph LR'];
+  graph.nodes.forEach((node, i) => {
+    ids[node.path] = `n${i}`;
+    const text = mermaidText(node.name);
+    lines.push(
+      node.type === 'package'
+        ? `  n${i}[["${text}"]]`
+        : `  n${i}["${text}"]`
+    );
+  });
+  graph.edges.forEach(edge => {
+    const arrow = edge.async ? '-.->' : '-->';
+    lines.push(
+      `  ${ids[edge.from]} ${arrow}|"${mermaidText(edge.specifier)}"| ` +
+      ids[edge.to]
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+function moduleType(module) {
+  if (module.isPolyfill()) {
+    return 'polyfill';
+  }
+  if (module.isAsset_DEPRECATED()) {
+    return 'asset_deprecated';
+  }
+  if (module.isAsset()) {
+    return 'asset';
+  }
+  if (module.isJSON()) {
+    return 'json';
+  }
+  return 'module';
+}
+
+function packageName(dir) {
+  const parts = dir.split(/[\\/]/);
+  const name = parts[parts.length - 1];
+  const scope = parts[parts.length - 2];
+  return scope[0] === '@' ? `${scope}/${name}` : name;
+}
+
+function compareEdges(a, b) {
+  return compareStrings(a.from, b.from) ||
+    compareStrings(a.to, b.to) ||
+    compareStrings(a.specifier, b.specifier) ||
+    Number(a.async) - Number(b.async);
+}
+
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function mermaidText(text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+exports.buildGraph = buildGraph;
+exports.toDOT = toDOT;
+exports.toMermaid = toMermaid;
@@ -8,27 +8,35 @@
 */
 'use strict';
 
+const debug = require('debug')('DependencyGraph');
 const Fastfs = require('../fastfs');
 const ModuleCache = require('../ModuleCache');
 const crawl = require('../crawlers');
+const getAssetDataFromName = require('../utils/getAssetDataFromName');
 const getPlatformExtension = require('../utils/getPlatformExtension');
 const isAbsolutePath = require('absolute-path');
 const path = require('../fastpath');
 const util = require('util');
+const {EventEmitter} = require('events');
 const DependencyGraphHelpers = require('./DependencyGraphHelpers');
 const ResolutionRequest = require('./ResolutionRequest');
 const ResolutionResponse = require('./ResolutionResponse');
 const HasteMap = require('./HasteMap');
+const HasteMapSnapshot = require('./HasteMapSnapshot');
 const DeprecatedAssetMap = require('./DeprecatedAssetMap');
+const ModuleNameMapper = require('./ModuleNameMapper');
 
 const ERROR_BUILDING_DEP_GRAPH = 'DependencyGraphError';
 
+// Requests kept for the entries resolved last, see `_getResolutionRequest()`.
+const MAX_RESOLUTION_REQUESTS = 32;
+
 const defaultActivity = {
  startEvent: () => {},
  endEvent: () => {},
 };
 
-class DependencyGraph {
+class DependencyGraph extends EventEmitter {
  constructor({
    activity,
    roots,
@@ -46,7 +54,17 @@ class DependencyGraph {
    transformCode,
    shouldThrowOnUnresolvedErrors = () => true,
    enableAssetMap,
+   resolvers,
+   moduleNameMapper,
+   platformModuleNameMapper,
+   failOnCycles = false,
+   allowedCycles = [],
+   hasteMapSnapshotPath,
+   hasteMapSnapshotKey = '',
+   resetHasteMapSnapshot = false,
+   lazy = false,
  }) {
+   super();
    this._opts = {
      activity: activity || defaultActivity,
      roots,
@@ -63,13 +81,31 @@ class DependencyGraph {
      transformCode,
      shouldThrowOnUnresolvedErrors,
      enableAssetMap: enableAssetMap || true,
+     resolvers: resolvers || [],
+     failOnCycles,
+     allowedCycles,
+     hasteMapSnapshotPath,
+     hasteMapSnapshotKey,
+     resetHasteMapSnapshot,
    };
+   this._moduleNameMapper = new ModuleNameMapper({
+     rules: moduleNameMapper,
+     platformRules: platformModuleNameMapper,
+     rootDir: roots[0],
+   });
    this._cache = cache;
+   this._resolutionRequests = new Map();
    this._helpers = new DependencyGraphHelpers(this._opts);
-   this.load();
+   if (!lazy) {
+     this.load();
+   }
  }
 
  load() {
+   if (this._closed) {
+     return Promise.reject(new Error('DependencyGraph has been closed'));
+   }
+
    if (this._loading) {
      return this._loading;
    }
@@ -78,10 +114,12 @@ class DependencyGraph {
    const depGraphActivity = activity.startEvent('Building Dependency Graph');
    const crawlActivity = activity.startEvent('Crawling File System');
    const allRoots = this._opts.roots.concat(this._opts.assetRoots_DEPRECATED);
+   const mtimes = Object.create(null);
    this._crawling = crawl(allRoots, {
      ignore: this._opts.ignoreFilePath,
      exts: this._opts.extensions.concat(this._opts.assetExts),
      fileWatcher: this._opts.fileWatcher,
+     mtimes,
    });
    this._crawling.then((files) => activity.endEvent(crawlActivity));
 
@@ -126,11 +164,21 @@ class DependencyGraph {
    });
 
    this._loading = Promise.all([
-     this._fastfs.build()
-       .then(() => {
+     Promise.all([this._fastfs.build(), this._readHasteMapSnapshot()])
+       .then(([, snapshot]) => {
          const hasteActivity = activity.startEvent('Building Haste Map');
-         return this._hasteMap.build().then(map => {
+         const building = snapshot
+           ? this._hasteMap.restore(
+               snapshot.hasteMap,
+               filePath => mtimes[filePath] != null &&
+                 mtimes[filePath] === snapshot.files[filePath]
+             )
+           : this._hasteMap.build();
+         return building.then(map => {
            activity.endEvent(hasteActivity);
+           if (!snapshot || hasChanged(snapshot.files, mtimes)) {
+             this._writeHasteMapSnapshot(mtimes);
+           }
            return map;
          });
        }),
@@ -178,6 +226,107 @@ class DependencyGraph {
    return this.load().then(() => this._moduleCache.getAllModules());
  }
 
+ /**
+  * Resolves `toModuleName` the way a `require` call in the file at
+  * `fromPath` would, returning a promise for the module.
+  */
+ resolveDependency({fromPath, toModuleName, platform}) {
+   return this.load().then(() => {
+     const absPath = path.resolve(fromPath);
+     platform = this._getRequestPlatform(absPath, platform);
+     const req = this._createResolutionRequest(absPath, platform);
+     return req.resolveDependency(
+       this._moduleCache.getModule(absPath),
+       toModuleName
+     );
+   });
+ }
+
+ /**
+  * Resolves the polyfill `name` like a require from each root in turn, so
+  * that it can be a path relative to a root, an absolute path, a haste name
+  * or a node module. Rejects with a `NotFoundError` when no root has it.
+  */
+ getPolyfill({name, platform}) {
+   return this.load().then(() => {
+     const roots = this._opts.roots;
+     const resolveFromRoot = index => {
+       if (index === roots.length) {
+         throw new NotFoundError(
+           'Cannot find polyfill %s in any of the roots: %j',
+           name,
+           roots
+         );
+       }
+
+       return this._resolveFromRoot(roots[index], name, platform)
+         .then(module => {
+           if (!module) {
+             return resolveFromRoot(index + 1);
+           }
+           if (module.type !== 'Module' || module.isJSON()) {
+             throw new Error(
+               `Polyfill ${name} resolved to ${module.path}, which is not a ` +
+               'JavaScript module'
+             );
+           }
+           return this._moduleCache.createPolyfill({
+             file: module.path,
+             id: name,
+           });
+         });
+     };
+     return resolveFromRoot(0);
+   });
+ }
+
+ /**
+  * Resolves `name` like a require from a file at `root`, without a package
+  * to redirect from. Resolves to `null` when it cannot be resolved.
+  */
+ _resolveFromRoot(root, name, platform) {
+   const fromModule =
+     this._moduleCache.getVirtualModule(path.join(root, '<root>'), '');
+   const req = this._createResolutionRequest(fromModule.path, platform);
+   return req.resolveDependency(fromModule, name).catch(error => {
+     if (error.type !== 'UnableToResolveError') {
+       throw error;
+     }
+     return null;
+   });
+ }
+
+ /**
+  * Returns the asset modules for the scale variants of the asset at
+  * `assetPath` (e.g. `logo@2x.png` for `logo.png`). When `platform` is given
+  * and the asset has variants for it, only those are returned.
+  */
+ getAssetModules(assetPath, platform) {
+   return this.load().then(() => {
+     const dirname = path.dirname(assetPath);
+     if (
+       !this._helpers.isAssetFile(assetPath) ||
+       !this._fastfs.dirExists(dirname)
+     ) {
+       return [];
+     }
+
+     const {name, type} = getAssetDataFromName(assetPath);
+     let pattern = '^' + name + '(@[\\d\\.]+x)?';
+     if (platform != null) {
+       pattern += '(\\.' + platform + ')?';
+     }
+     pattern += '\\.' + type + '$';
+
+     const files = this._fastfs.matches(dirname, new RegExp(pattern));
+     const platformFiles = files.filter(file =>
+       platform != null && getAssetDataFromName(file).platform === platform
+     );
+     return (platformFiles.length ? platformFiles : files)
+       .map(file => this._moduleCache.getAssetModule(file));
+   });
+ }
+
  getDependencies({
    entryPath,
    platform,
@@ -185,21 +334,12 @@ class DependencyGraph {
    onProgress,
    recursive = true,
  }) {
-   return this.load().then(() => {
-     platform = this._getRequestPlatform(entryPath, platform);
-     const absPath = path.resolve(entryPath);
-     const req = new ResolutionRequest({
-       platform,
-       preferNativePlatform: this._opts.preferNativePlatform,
-       entryPath: absPath,
-       deprecatedAssetMap: this._deprecatedAssetMap,
-       hasteMap: this._hasteMap,
-       helpers: this._helpers,
-       moduleCache: this._moduleCache,
-       fastfs: this._fastfs,
-       shouldThrowOnUnresolvedErrors: this._opts.shouldThrowOnUnresolvedErrors,
-     });
-
+   return this.load().then(
+     () => this._resolveEntryPath(entryPath, platform)
+   ).then(absPath => {
+     // Inferred from the file the entry resolved to when not given.
+     platform = this._getRequestPlatform(absPath, platform);
+     const req = this._getResolutionRequest(absPath, platform);
      const response = new ResolutionResponse({transformOptions});
 
      return req.getOrderedDependencies({
@@ -212,6 +352,108 @@ class DependencyGraph {
    });
  }
 
+ /**
+  * Resolves several entry points with a single `ResolutionRequest`, so that
+  * resolutions are shared between them, and partitions their modules into
+  * chunks: a common chunk (id 0) with the modules required by at least
+  * `minEntries` entries and weighing at least `minSize` bytes, followed by
+  * one chunk per entry (ids 1 to n) with the rest of its modules.
+  */
+ getDependenciesForEntries({
+   entryPaths,
+   platform,
+   transformOptions,
+   onProgress,
+   minEntries = 2,
+   minSize = 0,
+ }) {
+   return this.load().then(() => Promise.all(entryPaths.map(
+     entryPath => this._resolveEntryPath(entryPath, platform)
+   ))).then(absPaths => {
+     // Inferred from the file the first entry resolved to when not given.
+     platform = this._getRequestPlatform(absPaths[0], platform);
+     const req = this._getResolutionRequest(absPaths[0], platform);
+     const responses = [];
+
+     return absPaths.reduce((previous, entryPath) => previous.then(() => {
+       const response = new ResolutionResponse({transformOptions});
+       responses.push(response);
+       return req.getOrderedDependencies({
+         response,
+         entryPath,
+         mocksPattern: this._opts.mocksPattern,
+         transformOptions,
+         onProgress,
+       });
+     }), Promise.resolve())
+       .then(() => splitCommonModules(responses, {
+         minEntries,
+         minSize,
+         transformOptions,
+       }))
+       .then(chunks => ({responses, chunks}));
+   });
+ }
+
+ /**
+  * Returns the request kept for `entryPath` and `platform`. Its resolutions
+  * outlive each traversal and are only dropped when a file change can
+  * affect them, see `_invalidateResolutions()`, so that resolving the entry
+  * again after a change only re-resolves what the change touched. Only the
+  * requests of the `MAX_RESOLUTION_REQUESTS` entries used last are kept.
+  */
+ _getResolutionRequest(entryPath, platform) {
+   const key = JSON.stringify([entryPath, platform]);
+   const requests = this._resolutionRequests;
+   let req = requests.get(key);
+   if (req) {
+     // Moved to the end, with the requests used last.
+     requests.delete(key);
+   } else {
+     req = this._createResolutionRequest(entryPath, platform);
+   }
+   requests.set(key, req);
+   if (requests.size > MAX_RESOLUTION_REQUESTS) {
+     requests.delete(requests.keys().next().value);
+   }
+   return req;
+ }
+
+ /**
+  * Drops the resolutions that depend on the `resolvers` plugins, and the
+  * virtual modules they returned, see `Resolver.invalidatePlugins()`.
+  */
+ invalidatePlugins() {
+   this._resolutionRequests.forEach(req => req.invalidatePlugins());
+   if (this._moduleCache) {
+     this._moduleCache.clearVirtualModules();
+   }
+ }
+
+ _invalidateResolutions(absPath, hasteNames) {
+   this._resolutionRequests.forEach(
+     req => req.invalidateFile(absPath, hasteNames)
+   );
+ }
+
+ _createResolutionRequest(entryPath, platform) {
+   return new ResolutionRequest({
+     platform,
+     preferNativePlatform: this._opts.preferNativePlatform,
+     entryPath,
+     deprecatedAssetMap: this._deprecatedAssetMap,
+     hasteMap: this._hasteMap,
+     helpers: this._helpers,
+     moduleCache: this._moduleCache,
+     fastfs: this._fastfs,
+     shouldThrowOnUnresolvedErrors: this._opts.shouldThrowOnUnresolvedErrors,
+     resolvers: this._opts.resolvers,
+     moduleNameMapper: this._moduleNameMapper,
+     failOnCycles: this._opts.failOnCycles,
+     allowedCycles: this._opts.allowedCycles,
+   });
+ }
+
  matchFilesByPattern(pattern) {
    return this.load().then(() => this._fastfs.matchFilesByPattern(pattern));
  }
@@ -228,24 +470,52 @@ class DependencyGraph {
    return platform;
  }
 
- _getAbsolutePath(filePath) {
-   if (isAbsolutePath(filePath)) {
-     return path.resolve(filePath);
+ /**
+  * Finds the file of an entry point, given as an absolute path, a path
+  * relative to the working directory or to one of the roots, a haste name or
+  * a package name. Root-relative paths and names are resolved like requires
+  * from each root in turn, with the rules of `platform`: `Channel/index`
+  * can resolve to `Channel/index.ios.js`. Rejects with a `NotFoundError`
+  * listing the candidates tried when nothing matches.
+  */
+ _resolveEntryPath(entryPath, platform) {
+   if (isAbsolutePath(entryPath)) {
+     return Promise.resolve(path.resolve(entryPath));
    }
-
-   for (let i = 0; i < this._opts.roots.length; i++) {
-     const root = this._opts.roots[i];
-     const potentialAbsPath = path.join(root, filePath);
-     if (this._fastfs.fileExists(potentialAbsPath)) {
-       return path.resolve(potentialAbsPath);
-     }
+   const cwdPath = path.resolve(entryPath);
+   if (this._fastfs.fileExists(cwdPath)) {
+     return Promise.resolve(cwdPath);
    }
 
-   throw new NotFoundError(
-     'Cannot find entry file %s in any of the roots: %j',
-     filePath,
-     this._opts.roots
-   );
+   const roots = this._opts.roots;
+   const isRelative = entryPath[0] === '.';
+   const candidates = roots.map(root => ({
+     root,
+     name: isRelative ? entryPath : './' + entryPath,
+     description: path.join(root, entryPath),
+   })).concat(isRelative ? [] : roots.map(root => ({
+     root,
+     name: entryPath,
+     description: `haste module or package ${entryPath} from ${root}`,
+   })));
+
+   const resolveCandidate = index => {
+     if (index === candidates.length) {
+       throw new NotFoundError(
+         'Cannot find entry file %s in any of the roots: %j. Tried:\n%s',
+         entryPath,
+         roots,
+         [cwdPath].concat(candidates.map(({description}) => description))
+           .map(candidate => '  ' + candidate)
+           .join('\n')
+       );
+     }
+     const {root, name} = candidates[index];
+     return this._resolveFromRoot(root, name, platform).then(module =>
+       module ? module.path : resolveCandidate(index + 1)
+     );
+   };
+   return resolveCandidate(0);
  }
 
  _processFileChange(type, filePath, root, fstat) {
@@ -272,14 +542,89 @@ class DependencyGraph {
        this._hasteMapError = null;
 
        // Rebuild the entire map if last change resulted in an error.
+       this._resolutionRequests = new Map();
        this._loading = this._hasteMap.build();
      } else {
-       this._loading = this._hasteMap.processFileChange(type, absPath);
-       this._loading.catch((e) => this._hasteMapError = e);
+       const previousNames = this._hasteMap.getNamesForPath(absPath);
+       this._loading = this._hasteMap.processFileChange(type, absPath)
+         .then(() => this._invalidateResolutions(
+           absPath,
+           previousNames.concat(this._hasteMap.getNamesForPath(absPath))
+         ));
+       this._loading.catch((e) => {
+         this._hasteMapError = e;
+         this._resolutionRequests = new Map();
+       });
      }
      return this._loading;
    };
    this._loading = this._loading.then(resolve, resolve);
+   this._loading.then(
+     () => this.emit('change', type, absPath),
+     () => this.emit('change', type, absPath)
+   );
+ }
+
+ /**
+  * Resolves to the haste map snapshot, or `null` when snapshots are disabled,
+  * reset or missing.
+  */
+ _readHasteMapSnapshot() {
+   const {hasteMapSnapshotPath, hasteMapSnapshotKey} = this._opts;
+   if (!hasteMapSnapshotPath || this._opts.resetHasteMapSnapshot) {
+     return Promise.resolve(null);
+   }
+   return HasteMapSnapshot.read(hasteMapSnapshotPath, hasteMapSnapshotKey)
+     .catch(error => {
+       debug('Unable to read haste map snapshot: %s', error.message);
+       return null;
+     });
+ }
+
+ _writeHasteMapSnapshot(mtimes) {
+   const {hasteMapSnapshotPath, hasteMapSnapshotKey} = this._opts;
+   if (!hasteMapSnapshotPath) {
+     return;
+   }
+   // Failing to write the snapshot only costs a full build on next start.
+   this._writingSnapshot = HasteMapSnapshot.write(
+     hasteMapSnapshotPath,
+     hasteMapSnapshotKey,
+     {files: mtimes, hasteMap: this._hasteMap.toJSON()}
+   ).catch(error => {
+     debug('Unable to write haste map snapshot: %s', error.message);
+   });
+ }
+
+ /**
+  * Deletes the haste map snapshot, the next load builds from scratch.
+  */
+ clearHasteMapSnapshot() {
+   return this._opts.hasteMapSnapshotPath
+     ? HasteMapSnapshot.remove(this._opts.hasteMapSnapshotPath)
+     : Promise.resolve();
+ }
+
+ /**
+  * Stops listening to the file watcher and drops the in-memory file system,
+  * module cache and haste map. The graph cannot be used afterwards. Returns a
+  * promise resolved once the haste map snapshot being written, if any, is on
+  * disk.
+  */
+ close() {
+   this._closed = true;
+   if (this._fastfs) {
+     this._fastfs.close();
+     this._deprecatedAssetMap.close();
+   }
+   this._fastfs = null;
+   this._moduleCache = null;
+   this._hasteMap = null;
+   this._deprecatedAssetMap = null;
+   this._loading = null;
+   this._resolutionRequests = new Map();
+   this.removeAllListeners('change');
+   return Promise.resolve(this._writingSnapshot);
  }
 
  createPolyfill(options) {
@@ -287,6 +632,61 @@ class DependencyGraph {
  }
 }
 
+function splitCommonModules(
+  responses,
+  {minEntries, minSize, transformOptions}
+) {
+  const entryCounts = Object.create(null);
+  const modules = [];
+  responses.forEach(response => response.dependencies.forEach(module => {
+    const hash = module.hash();
+    if (entryCounts[hash] == null) {
+      entryCounts[hash] = 0;
+      modules.push(module);
+    }
+    entryCounts[hash] += 1;
+  }));
+
+  const candidates =
+    modules.filter(module => entryCounts[module.hash()] >= minEntries);
+
+  return Promise.all(candidates.map(
+    module => minSize > 0 ? getModuleSize(module, transformOptions) : 0
+  )).then(sizes => {
+    const common = Object.create(null);
+    candidates.forEach((module, i) => {
+      if (sizes[i] >= minSize) {
+        common[module.hash()] = true;
+      }
+    });
+
+    return [{
+      id: 0,
+      entry: null,
+      modules: modules.filter(module => common[module.hash()]),
+      dependsOn: [],
+    }].concat(responses.map((response, i) => ({
+      id: i + 1,
+      entry: response.dependencies[0],
+      modules: response.dependencies.filter(module => !common[module.hash()]),
+      dependsOn: [0],
+    })));
+  });
+}
+
+function getModuleSize(module, transformOptions) {
+  if (module.isAsset() || module.isAsset_DEPRECATED()) {
+    return Promise.resolve(0);
+  }
+  return module.getCode(transformOptions).then(code => code.length);
+}
+
+function hasChanged(previousMtimes, mtimes) {
+  const files = Object.keys(mtimes);
+  return files.length !== Object.keys(previousMtimes).length ||
+    files.some(file => previousMtimes[file] !== mtimes[file]);
+}
+
 function NotFoundError() {
   Error.call(this);
   Error.captureStackTrace(this, this.constructor);
@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const babel = require('babel-core');
+const path = require('../fastpath');
+
+const DEFAULT_PRESET = {stage: 1};
+
+/**
+ * Returns a transformer compiling modules with Babel, usable as
+ * `transformCode` or exported from a `transformModulePath` module.
+ *
+ * `preset` holds the Babel options, or is a function of the transform
+ * options (which include `platform` and `dev`, see `Resolver`) returning
+ * them. JSON files are left alone.
+ */
+function createTransformer(preset = DEFAULT_PRESET) {
+  return function transform(filename, source, transformOptions = {}) {
+    if (path.extname(filename) === '.json') {
+      return {code: source};
+    }
+
+    const options = typeof preset === 'function'
+      ? preset(transformOptions)
+      : preset;
+    const {code, map} = babel.transform(source, Object.assign({}, options, {
+      filename,
+      sourceFileName: filename,
+      sourceMaps: true,
+    }));
+    return {code, map};
+  };
+}
+
+exports.createTransformer = createTransformer;
+exports.transform = createTransformer();
@@ -0,0 +1,182 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const childProcess = require('child_process');
+const debug = require('debug')('JSTransformer');
+const os = require('os');
+const path = require('../fastpath');
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+
+// A job whose worker died is retried once, on a new worker.
+const MAX_ATTEMPTS = 2;
+
+/**
+ * Runs the transformer at `transformModulePath` in a pool of `maxWorkers`
+ * child processes. The module exports `transform(filename, source,
+ * transformOptions)`, or is that function, and returns `{code, map}` or a
+ * promise for it. Unless `requireParser` is `null`, the workers also extract
+ * the dependencies of the transformed code (`'regex'` or `'ast'`, see
+ * `Resolver`).
+ *
+ * A file is always sent to the same worker, which keeps the results of its
+ * last transforms. Workers that die are replaced.
+ */
+class Transformer {
+  constructor({
+    transformModulePath,
+    maxWorkers = Math.max(os.cpus().length - 1, 1),
+    requireParser = 'regex',
+  }) {
+    this._transformModulePath = transformModulePath;
+    this._requireParser = requireParser;
+    this._workers = [];
+    for (let i = 0; i < maxWorkers; i++) {
+      this._workers.push(null);
+    }
+    this._nextJobId = 0;
+    this._killed = false;
+  }
+
+  /**
+   * Resolves to `{code, map, dependencies, asyncDependencies}`, without the
+   * dependencies when there is no `requireParser`. `transformOptions` must
+   * be serializable to JSON.
+   */
+  transformFile(filename, source, transformOptions) {
+    if (this._killed) {
+      return Promise.reject(new Error('Transformer has been killed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._enqueue(hashString(filename) % this._workers.length, {
+        id: this._nextJobId++,
+        message: {filename, source, transformOptions},
+        attempts: 0,
+        resolve,
+        reject,
+      });
+    });
+  }
+
+  /**
+   * Stops the workers and rejects the transforms in progress.
+   */
+  kill() {
+    this._killed = true;
+    const workers = this._workers;
+    this._workers = workers.map(() => null);
+    workers.forEach(worker => {
+      if (worker) {
+        pendingJobs(worker).forEach(
+          job => job.reject(new Error('Transformer has been killed'))
+        );
+        worker.child.kill();
+      }
+    });
+  }
+
+  _enqueue(index, job) {
+    if (!this._workers[index]) {
+      this._workers[index] = this._spawn(index);
+    }
+    const worker = this._workers[index];
+    worker.queue.push(job);
+    if (!worker.running) {
+      this._runNext(worker);
+    }
+  }
+
+  _spawn(index) {
+    const child = childProcess.fork(WORKER_PATH, [
+      this._transformModulePath,
+      this._requireParser || '',
+    ]);
+    const worker = {child, queue: [], running: null};
+
+    child.on('message', ({id, result, error}) => {
+      const job = worker.running;
+      if (!job || job.id !== id) {
+        return;
+      }
+      worker.running = null;
+      if (error) {
+        job.reject(transformError(job.message.filename, error));
+      } else {
+        job.resolve(result);
+      }
+      this._runNext(worker);
+    });
+    child.on('error', error => {
+      debug('Transform worker %d failed: %s', index, error.message);
+      child.kill();
+    });
+    child.on(
+      'exit',
+      (code, signal) => this._onExit(index, worker, code, signal)
+    );
+    return worker;
+  }
+
+  _runNext(worker) {
+    const job = worker.queue.shift();
+    if (!job) {
+      return;
+    }
+    worker.running = job;
+    job.attempts += 1;
+    worker.child.send({...job.message, id: job.id});
+  }
+
+  _onExit(index, worker, code, signal) {
+    // Killed workers are not in the pool anymore.
+    if (this._workers[index] !== worker) {
+      return;
+    }
+    this._workers[index] = null;
+    const reason = signal ? `signal ${signal}` : `exit code ${code}`;
+    debug('Transform worker %d died with %s', index, reason);
+
+    pendingJobs(worker).forEach(job => {
+      if (job.attempts < MAX_ATTEMPTS) {
+        this._enqueue(index, job);
+      } else {
+        job.reject(new Error(
+          `Transform worker died with ${reason} while transforming ` +
+          job.message.filename
+        ));
+      }
+    });
+  }
+}
+
+function pendingJobs(worker) {
+  return worker.running
+    ? [worker.running].concat(worker.queue)
+    : worker.queue;
+}
+
+function transformError(filename, data) {
+  const error = new Error(data.message);
+  Object.assign(error, data);
+  error.type = 'TransformError';
+  error.filename = filename;
+  return error;
+}
+
+function hashString(string) {
+  let hash = 0;
+  for (let i = 0; i < string.length; i++) {
+    hash = (hash * 31 + string.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+module.exports = Transformer;
@@ -0,0 +1,98 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const extractRequires = require('../utils/extractRequires');
+const extractRequiresAST = require('../utils/extractRequiresAST');
+
+// Results kept for files transformed again with the same source and options.
+const MAX_CACHED_RESULTS = 500;
+
+const [transformModulePath, requireParser] = process.argv.slice(2);
+const extractor =
+  {regex: extractRequires, ast: extractRequiresAST}[requireParser];
+const results = new Map();
+
+// Reported with every transform rather than crashing the worker, which
+// would only be restarted to fail again.
+let transform;
+let loadError;
+try {
+  const transformer = require(transformModulePath);
+  transform = typeof transformer === 'function'
+    ? transformer
+    : transformer.transform;
+  if (typeof transform !== 'function') {
+    throw new Error(
+      `${transformModulePath} must export a transform function`
+    );
+  }
+} catch (e) {
+  loadError = e;
+}
+
+process.on('message', ({id, filename, source, transformOptions}) => {
+  const key = crypto.createHash('md5')
+    .update(filename)
+    .update('\0')
+    .update(source)
+    .update('\0')
+    .update(JSON.stringify(transformOptions) || '')
+    .digest('hex');
+
+  Promise.resolve()
+    .then(() => {
+      if (loadError) {
+        throw loadError;
+      }
+      return results.get(key) ||
+        transformFile(filename, source, transformOptions);
+    })
+    .then(
+      result => {
+        results.delete(key);
+        results.set(key, result);
+        if (results.size > MAX_CACHED_RESULTS) {
+          results.delete(results.keys().next().value);
+        }
+        process.send({id, result});
+      },
+      error => process.send({id, error: serializeError(error)})
+    );
+});
+
+// The parent process is gone.
+process.on('disconnect', () => process.exit());
+
+function transformFile(filename, source, transformOptions = {}) {
+  return Promise.resolve(transform(filename, source, transformOptions))
+    .then(({code, map}) => {
+      const result = {code, map};
+      if (extractor) {
+        const deps = transformOptions.extern
+          ? {sync: [], async: []}
+          : extractor(code).deps;
+        result.dependencies = deps.sync;
+        result.asyncDependencies = deps.async || [];
+      }
+      return result;
+    });
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return {message: String(error)};
+  }
+  return Object.assign({}, error, {
+    message: error.message,
+    name: error.name,
+    stack: error.stack,
+  });
+}
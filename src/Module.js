@@ -93,6 +93,15 @@ class Module {
     return this.read(transformOptions).then(data => data.dependencies);
   }
 
+  /**
+   * Returns the specifiers this module loads with `import()` or
+   * `require.async()`.
+   */
+  getAsyncDependencies(transformOptions) {
+    return this.read(transformOptions)
+      .then(data => data.asyncDependencies || []);
+  }
+
   invalidate() {
     this._cache.invalidate(this.path);
   }
@@ -145,11 +154,15 @@ class Module {
               ? transformCode(this, source, transformOptions)
               : Promise.resolve({code: source});
           return codePromise.then(result => {
-            const {
-              code,
-              dependencies = extern ? [] : this._extractor(code).deps.sync,
-            } = result;
-            return {...result, dependencies, id, source};
+            let {dependencies, asyncDependencies} = result;
+            if (!dependencies || !asyncDependencies) {
+              const deps = extern
+                ? {sync: [], async: []}
+                : this._extractor(result.code).deps;
+              dependencies = dependencies || deps.sync;
+              asyncDependencies = asyncDependencies || deps.async || [];
+            }
+            return {...result, dependencies, asyncDependencies, id, source};
           });
         });
       }
@@ -4,6 +4,7 @@ const AssetModule = require('./AssetModule');
 const Package = require('./Package');
 const Module = require('./Module');
 const Polyfill = require('./Polyfill');
+const VirtualModule = require('./VirtualModule');
 const path = require('./fastpath');
 
 class ModuleCache {
@@ -17,6 +18,7 @@ class ModuleCache {
   }) {
     this._moduleCache = Object.create(null);
     this._packageCache = Object.create(null);
+    this._virtualModuleCache = Object.create(null);
     this._fastfs = fastfs;
     this._cache = cache;
     this._extractRequires = extractRequires;
@@ -88,10 +90,12 @@ class ModuleCache {
     return this.getPackage(packagePath);
   }
 
-  createPolyfill({file}) {
+  createPolyfill({file, id = file}) {
     return new Polyfill({
       file,
+      id,
       cache: this._cache,
+      extractor: this._extractRequires,
       depGraphHelpers: this._depGraphHelpers,
       fastfs: this._fastfs,
       moduleCache: this,
@@ -99,6 +103,31 @@ class ModuleCache {
     });
   }
 
+  /**
+   * Returns the virtual module `name` at `modulePath`, created anew when its
+   * code changed.
+   */
+  getVirtualModule(name, code, modulePath = name) {
+    const cached = this._virtualModuleCache[modulePath];
+    if (!cached || cached.code !== code) {
+      this._virtualModuleCache[modulePath] = new VirtualModule({
+        name,
+        path: modulePath,
+        code,
+        extractor: this._extractRequires,
+      });
+    }
+    return this._virtualModuleCache[modulePath];
+  }
+
+  /**
+   * Drops the virtual modules, so that those no longer returned by a plugin
+   * are released.
+   */
+  clearVirtualModules() {
+    this._virtualModuleCache = Object.create(null);
+  }
+
   _processFileChange(type, filePath, root) {
     const absPath = path.join(root, filePath);
 
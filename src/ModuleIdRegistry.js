@@ -0,0 +1,135 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const denodeify = require('denodeify');
+const fs = require('graceful-fs');
+const isAbsolutePath = require('absolute-path');
+const path = require('./fastpath');
+
+const REGISTRY_VERSION = 1;
+const STRATEGIES = ['names', 'numeric', 'hashed'];
+
+/**
+ * Hands out the ids modules are registered with in bundles.
+ *
+ * - `names` uses `Module.getName()`: the haste name or the absolute path.
+ * - `numeric` allocates integers in the order modules are first seen and
+ *   persists them to `registryPath`, so that ids survive across builds.
+ * - `hashed` uses a short digest of the module path. Two paths with the same
+ *   digest are reported as an error rather than sharing an id.
+ *
+ * `numeric` and `hashed` ids are derived from the module path relative to
+ * the first root, which keeps them independent of where the project lives.
+ */
+class ModuleIdRegistry {
+  constructor({strategy = 'names', roots, registryPath}) {
+    if (STRATEGIES.indexOf(strategy) === -1) {
+      throw new Error('Unrecognized module id strategy: ' + strategy);
+    }
+
+    this._strategy = strategy;
+    this._root = roots[0];
+    this._registryPath = registryPath;
+    this._dirty = false;
+    this._hashedKeys = Object.create(null);
+
+    const registry = strategy === 'numeric' && registryPath
+      ? loadRegistrySync(registryPath)
+      : null;
+    this._ids = registry ? registry.ids : Object.create(null);
+    this._nextId = registry ? registry.nextId : 0;
+  }
+
+  getId(module) {
+    if (this._strategy === 'names' || module.isPolyfill()) {
+      return module.getName();
+    }
+
+    return Promise.resolve().then(() => this._getIdSync(module));
+  }
+
+  /**
+   * Allocates ids for `modules` in order. Calling this with the modules of a
+   * resolution response before wrapping them keeps numeric ids
+   * deterministic, regardless of the order files are read in.
+   */
+  allocate(modules) {
+    if (this._strategy === 'numeric') {
+      modules.forEach(module => {
+        if (!module.isPolyfill()) {
+          this._getIdSync(module);
+        }
+      });
+    }
+  }
+
+  save() {
+    if (!this._dirty || !this._registryPath) {
+      return Promise.resolve();
+    }
+
+    this._dirty = false;
+    return denodeify(fs.writeFile)(
+      this._registryPath,
+      JSON.stringify({
+        version: REGISTRY_VERSION,
+        nextId: this._nextId,
+        ids: this._ids,
+      }, null, 2)
+    );
+  }
+
+  _getIdSync(module) {
+    // Virtual modules are keyed by their name.
+    const key = isAbsolutePath(module.path)
+      ? path.relative(this._root, module.path).split(path.sep).join('/')
+      : module.path;
+    if (this._strategy === 'hashed') {
+      const id =
+        crypto.createHash('md5').update(key).digest('hex').substr(0, 8);
+      const existing = this._hashedKeys[id];
+      if (existing != null && existing !== key) {
+        throw new Error(
+          `Modules ${existing} and ${key} have the same hashed id ${id}. ` +
+          `Rename one of them or use \`moduleIds: 'numeric'\`.`
+        );
+      }
+      this._hashedKeys[id] = key;
+      return id;
+    }
+
+    if (this._ids[key] == null) {
+      this._ids[key] = this._nextId++;
+      this._dirty = true;
+    }
+    return this._ids[key];
+  }
+}
+
+function loadRegistrySync(registryPath) {
+  if (!fs.existsSync(registryPath)) {
+    return null;
+  }
+
+  const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  if (registry.version !== REGISTRY_VERSION) {
+    throw new Error(
+      `Module id registry ${registryPath} has version ${registry.version}, ` +
+      `expected ${REGISTRY_VERSION}`
+    );
+  }
+
+  const ids = Object.create(null);
+  Object.keys(registry.ids).forEach(key => ids[key] = registry.ids[key]);
+  return {ids, nextId: registry.nextId};
+}
+
+module.exports = ModuleIdRegistry;
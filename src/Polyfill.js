@@ -2,11 +2,15 @@
 
 const Module = require('./Module');
 
+/**
+ * Module evaluated as a script before the module system starts the main
+ * module. Its code is read like any module's; its own requires are resolved
+ * and rewritten, and the modules they load are defined before it runs.
+ */
 class Polyfill extends Module {
   constructor(options) {
     super(options);
     this._id = options.id;
-    this._dependencies = options.dependencies;
   }
 
   isHaste() {
@@ -21,8 +25,8 @@ class Polyfill extends Module {
     return null;
   }
 
-  getDependencies() {
-    return Promise.resolve(this._dependencies);
+  getAsyncDependencies() {
+    return Promise.resolve([]);
   }
 
   isJSON() {
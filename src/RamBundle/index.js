@@ -0,0 +1,173 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const denodeify = require('denodeify');
+const fs = require('graceful-fs');
+const path = require('../fastpath');
+
+const writeFile = denodeify(fs.writeFile);
+
+const MAGIC_RAM_BUNDLE_NUMBER = 0xFB0BD1E5;
+const MODULES_DIR = 'js-modules';
+const MAGIC_FILE_NAME = 'UNBUNDLE';
+const SIZEOF_UINT32 = 4;
+
+// Every module of a RAM bundle is in its table, async chunks never have to
+// be fetched separately.
+const CHUNK_LOADER_CODE =
+  'require.loadChunk = function() { return Promise.resolve(); };';
+
+/**
+ * Lays out a bundle as a single file:
+ *
+ * - magic number: uint32
+ * - number of table entries: uint32
+ * - length of the startup code: uint32
+ * - table: one (offset, length) pair of uint32 per module id, offsets being
+ *   relative to the start of the startup code
+ * - startup code, null terminated
+ * - module bodies, each null terminated
+ *
+ * Requires numeric module ids.
+ */
+function asIndexedFile(bundle, {startupModules}) {
+  const {startupCode, lazyModules} =
+    splitStartupModules(bundle, startupModules);
+  lazyModules.forEach(({id}) => {
+    if (!/^\d+$/.test(String(id))) {
+      throw new Error(
+        `Indexed RAM bundles need numeric module ids, got ${id}. ` +
+        `Create the Resolver with \`moduleIds: 'numeric'\`.`
+      );
+    }
+  });
+
+  const startupBuffer = nullTerminatedBuffer(startupCode);
+  const moduleBuffers = lazyModules.map(({id, code}) => ({
+    id: Number(id),
+    buffer: nullTerminatedBuffer(code),
+  }));
+  const entryCount =
+    moduleBuffers.reduce((max, {id}) => Math.max(max, id), -1) + 1;
+
+  const header = Buffer.alloc(3 * SIZEOF_UINT32);
+  header.writeUInt32LE(MAGIC_RAM_BUNDLE_NUMBER, 0);
+  header.writeUInt32LE(entryCount, SIZEOF_UINT32);
+  header.writeUInt32LE(startupBuffer.length, 2 * SIZEOF_UINT32);
+
+  const table = Buffer.alloc(entryCount * 2 * SIZEOF_UINT32);
+  let offset = startupBuffer.length;
+  moduleBuffers.forEach(({id, buffer}) => {
+    table.writeUInt32LE(offset, id * 2 * SIZEOF_UINT32);
+    table.writeUInt32LE(buffer.length, (id * 2 + 1) * SIZEOF_UINT32);
+    offset += buffer.length;
+  });
+
+  return {
+    format: 'indexed',
+    code: Buffer.concat(
+      [header, table, startupBuffer].concat(moduleBuffers.map(m => m.buffer))
+    ),
+  };
+}
+
+/**
+ * Lays out a bundle as its startup code plus a `js-modules` directory with
+ * one `<id>.js` file per module and an `UNBUNDLE` file holding the magic
+ * number. Module ids have to be usable as file names.
+ */
+function asDirectory(bundle, {startupModules}) {
+  const {startupCode, lazyModules} =
+    splitStartupModules(bundle, startupModules);
+  const magicNumber = Buffer.alloc(SIZEOF_UINT32);
+  magicNumber.writeUInt32LE(MAGIC_RAM_BUNDLE_NUMBER, 0);
+
+  const files = Object.create(null);
+  files[path.join(MODULES_DIR, MAGIC_FILE_NAME)] = magicNumber;
+  lazyModules.forEach(({id, code}) => {
+    if (!/^[\w-]+$/.test(String(id))) {
+      throw new Error(
+        `Module id ${id} cannot be used as a file name. ` +
+        `Create the Resolver with \`moduleIds: 'numeric'\` or \`'hashed'\`.`
+      );
+    }
+    files[path.join(MODULES_DIR, id + '.js')] = code;
+  });
+
+  return {format: 'directory', startupCode, files};
+}
+
+/**
+ * Writes a RAM bundle to `outputPath`. For the directory format, the startup
+ * code goes to `outputPath` and `js-modules` is created next to it.
+ */
+function write(ramBundle, outputPath) {
+  if (ramBundle.format === 'indexed') {
+    return writeFile(outputPath, ramBundle.code);
+  }
+
+  const outputDir = path.dirname(outputPath);
+  return mkdir(path.join(outputDir, MODULES_DIR))
+    .then(() => Promise.all(
+      [writeFile(outputPath, ramBundle.startupCode)].concat(
+        Object.keys(ramBundle.files).map(file =>
+          writeFile(path.join(outputDir, file), ramBundle.files[file])
+        )
+      )
+    ));
+}
+
+function splitStartupModules(bundle, startupModules = []) {
+  const isStartupModule = Object.create(null);
+  startupModules.forEach(module => isStartupModule[module] = true);
+
+  const modules = bundle.getModules();
+  const chunks = bundle.getChunks();
+  const startupCode = [];
+  const lazyModules = [];
+  modules
+    .concat(...chunks.map(({bundle: chunkBundle}) => chunkBundle.getModules()))
+    .forEach(module => {
+      if (
+        module.isPolyfill ||
+        isStartupModule[module.sourcePath] ||
+        isStartupModule[module.name]
+      ) {
+        startupCode.push(module.code);
+      } else {
+        lazyModules.push({id: module.name, code: module.code});
+      }
+    });
+
+  if (chunks.length) {
+    startupCode.push(CHUNK_LOADER_CODE);
+  }
+  if (bundle.getRunModuleCode()) {
+    startupCode.push(bundle.getRunModuleCode());
+  }
+
+  return {startupCode: startupCode.join('\n'), lazyModules};
+}
+
+function nullTerminatedBuffer(code) {
+  return Buffer.concat([Buffer.from(code, 'utf8'), Buffer.alloc(1)]);
+}
+
+function mkdir(dir) {
+  return denodeify(fs.mkdir)(dir).catch(e => {
+    if (e.code !== 'EEXIST') {
+      throw e;
+    }
+  });
+}
+
+exports.asDirectory = asDirectory;
+exports.asIndexedFile = asIndexedFile;
+exports.write = write;
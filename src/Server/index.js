@@ -0,0 +1,279 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const debug = require('debug')('Server');
+const denodeify = require('denodeify');
+const fs = require('graceful-fs');
+const http = require('http');
+const path = require('../fastpath');
+const querystring = require('querystring');
+const url = require('url');
+const Resolver = require('../');
+const WebSocketServer = require('ws').Server;
+
+const readFile = denodeify(fs.readFile);
+
+const BUNDLE_RE = /^\/(.+)\.bundle$/;
+const MAP_RE = /^\/(.+)\.map$/;
+const CHUNK_RE = /^\/(.+)\.chunk\.(\d+)\.js$/;
+const ASSETS_PREFIX = '/assets/';
+
+const MIME_TYPES = {
+  bmp: 'image/bmp',
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  wav: 'audio/wav',
+};
+
+/**
+ * Development server around a long-lived `Resolver`, created from `options`:
+ *
+ * - `GET /<entry>.bundle?platform=ios&dev=true` serves the bundle of
+ *   `<entry>.js`, relative to the first root
+ * - `GET /<entry>.map?...` serves its source map
+ * - `GET /<entry>.chunk.<id>.js?...` serves its async chunks
+ * - `GET /assets/<path>?platform=ios&scale=2` serves the best variant of an
+ *   asset, see `Resolver.resolveAsset()`
+ * - `/hot?bundleEntry=<entry>&platform=ios` is a WebSocket endpoint sending
+ *   the hot module replacement updates of `<entry>.js`, see
+ *   `Resolver.watchEntry()`. Bundles requested with `hot=true` connect to it.
+ *
+ * Built bundles are kept until the resolver reports a file change, and
+ * requests wait for the file changes being processed.
+ */
+class Server {
+  constructor(options) {
+    this._roots = options.roots.map(root => path.resolve(root));
+    this._resolver = new Resolver(options);
+    this._bundles = Object.create(null);
+    this._resolver.on('change', () => {
+      this._bundles = Object.create(null);
+    });
+    this._httpServer = null;
+    this._hotServer = null;
+  }
+
+  /**
+   * Request handler, usable as a connect middleware. Without `next`,
+   * unknown URLs get a 404.
+   */
+  processRequest(req, res, next) {
+    const {pathname, query} = url.parse(req.url, true);
+    let handle;
+    if (CHUNK_RE.test(pathname)) {
+      handle = () => this._processChunkRequest(pathname, query);
+    } else if (BUNDLE_RE.test(pathname)) {
+      handle = () => this._processBundleRequest(pathname, query, req);
+    } else if (MAP_RE.test(pathname)) {
+      handle = () => this._processSourceMapRequest(pathname, query);
+    } else if (pathname.indexOf(ASSETS_PREFIX) === 0) {
+      handle = () => this._processAssetRequest(pathname, query);
+    }
+
+    if (!handle) {
+      if (next) {
+        next();
+      } else {
+        send(res, 404, 'text/plain', `Not found: ${pathname}`);
+      }
+      return;
+    }
+
+    // Waits for the file changes being processed, whose `change` events
+    // drop the bundles built before them.
+    this._resolver.getHasteMap()
+      .then(handle)
+      .then(
+        ({contentType, body}) => send(res, 200, contentType, body),
+        error => {
+          debug('Failed to handle %s: %s', req.url, error.stack);
+          send(res, error.status || 500, 'text/plain', error.message);
+        }
+      );
+  }
+
+  listen(...args) {
+    this._httpServer = http.createServer(
+      (req, res) => this.processRequest(req, res)
+    );
+    this.attachHotServer(this._httpServer);
+    return this._httpServer.listen(...args);
+  }
+
+  /**
+   * Serves the `/hot` WebSocket endpoint on `httpServer`. Called by
+   * `listen()`, servers using `processRequest` as a middleware call it
+   * themselves.
+   */
+  attachHotServer(httpServer) {
+    this._hotServer = new WebSocketServer({server: httpServer, path: '/hot'});
+    this._hotServer.on('connection', socket => {
+      const {query} = url.parse(socket.upgradeReq.url, true);
+      const send = message => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify(message));
+        }
+      };
+
+      const unwatching = this._resolver.watchEntry(
+        path.join(this._roots[0], query.bundleEntry + '.js'),
+        query.platform,
+        (error, delta) => send(error
+          ? {type: 'error', body: {message: error.message}}
+          : {type: 'update', body: delta}
+        )
+      );
+      unwatching.catch(error => {
+        send({type: 'error', body: {message: error.message}});
+        socket.close();
+      });
+      socket.on('close', () => unwatching.then(unwatch => unwatch(), () => {}));
+    });
+  }
+
+  close() {
+    if (this._hotServer) {
+      this._hotServer.close();
+      this._hotServer = null;
+    }
+    const closing = this._httpServer
+      ? denodeify(this._httpServer.close.bind(this._httpServer))()
+      : Promise.resolve();
+    this._httpServer = null;
+    return closing.then(() => this._resolver.close());
+  }
+
+  _processBundleRequest(pathname, query, req) {
+    const entry = pathname.match(BUNDLE_RE)[1];
+    return this._getBundle(entry, query)
+      .then(bundle => {
+        let code = bundle.getSource();
+        if (query.hot === 'true') {
+          const hotQuery = {bundleEntry: entry};
+          if (query.platform) {
+            hotQuery.platform = query.platform;
+          }
+          const hotUrl = `ws://${req.headers.host}/hot?` +
+            querystring.stringify(hotQuery);
+          code += `\nrequire.connectHot(${JSON.stringify(hotUrl)});`;
+        }
+        return {
+          contentType: 'application/javascript',
+          body: code + '\n//# sourceMappingURL=/' + entry + '.map?' +
+            bundleQuery(query),
+        };
+      });
+  }
+
+  _processSourceMapRequest(pathname, query) {
+    const entry = pathname.match(MAP_RE)[1];
+    return this._getBundle(entry, query)
+      .then(bundle => ({
+        contentType: 'application/json',
+        body: JSON.stringify(
+          bundle.getSourceMap({file: path.basename(entry) + '.bundle'})
+        ),
+      }));
+  }
+
+  _processChunkRequest(pathname, query) {
+    const match = pathname.match(CHUNK_RE);
+    const chunkId = Number(match[2]);
+    return this._getBundle(match[1], query)
+      .then(bundle => {
+        const chunk = bundle.getChunks().find(c => c.id === chunkId);
+        if (!chunk) {
+          throw notFoundError(`Unknown chunk ${chunkId} of ${match[1]}`);
+        }
+        return {
+          contentType: 'application/javascript',
+          body: chunk.bundle.getSource(),
+        };
+      });
+  }
+
+  _processAssetRequest(pathname, query) {
+    const assetPath = decodeURIComponent(pathname.slice(ASSETS_PREFIX.length));
+    const options = {
+      platform: query.platform,
+      scale: query.scale ? parseFloat(query.scale) : 1,
+    };
+
+    // Assets are looked up in each root in turn.
+    return this._roots.reduce(
+      (found, root) => found.then(assetModule => assetModule ||
+        this._resolver.resolveAsset(path.join(root, assetPath), options)
+      ),
+      Promise.resolve(null)
+    ).then(assetModule => {
+      if (!assetModule) {
+        throw notFoundError(`Asset not found: ${assetPath}`);
+      }
+      return readFile(assetModule.path).then(body => ({
+        contentType: MIME_TYPES[path.extname(assetModule.path).slice(1)] ||
+          'application/octet-stream',
+        body,
+      }));
+    });
+  }
+
+  _getBundle(entry, query) {
+    const platform = query.platform;
+    const dev = query.dev !== 'false';
+    const key = JSON.stringify([entry, platform, dev]);
+    if (!this._bundles[key]) {
+      const chunkQuery = bundleQuery(query);
+      const bundles = this._bundles;
+      bundles[key] = this._resolver.buildBundle(
+        path.join(this._roots[0], entry + '.js'),
+        {
+          platform,
+          dev,
+          chunkUrl: id => `/${entry}.chunk.${id}.js?${chunkQuery}`,
+        }
+      );
+      // Failed builds are retried on the next request.
+      bundles[key].catch(() => delete bundles[key]);
+    }
+    return this._bundles[key];
+  }
+}
+
+function bundleQuery(query) {
+  const params = {dev: query.dev !== 'false'};
+  if (query.platform) {
+    params.platform = query.platform;
+  }
+  return querystring.stringify(params);
+}
+
+function notFoundError(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+module.exports = Server;
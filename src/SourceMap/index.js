@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const {SourceMapConsumer, SourceMapGenerator} = require('source-map');
+
+/**
+ * Returns the source map of a module after its code has been moved
+ * `columnOffset` columns to the right on its first line (by the `__d` or
+ * polyfill wrapper) and after `replacements` (see `rewriteRequires`) have
+ * been applied to it.
+ *
+ * When the module comes without a map, its code is taken to be the original
+ * source and mapped line by line.
+ */
+function createModuleMap({
+  code,
+  map,
+  sourcePath,
+  columnOffset = 0,
+  replacements = [],
+}) {
+  const generator = new SourceMapGenerator();
+  const shiftColumn = (line, column) => {
+    let shifted = line === 1 ? column + columnOffset : column;
+    replacements.forEach(replacement => {
+      if (replacement.line === line && replacement.column < column) {
+        shifted += replacement.delta;
+      }
+    });
+    return shifted;
+  };
+
+  if (map) {
+    const consumer = new SourceMapConsumer(map);
+    consumer.eachMapping(mapping => {
+      if (mapping.source == null) {
+        return;
+      }
+      generator.addMapping({
+        generated: {
+          line: mapping.generatedLine,
+          column: shiftColumn(mapping.generatedLine, mapping.generatedColumn),
+        },
+        original: {
+          line: mapping.originalLine,
+          column: mapping.originalColumn,
+        },
+        source: mapping.source,
+        name: mapping.name,
+      });
+    });
+    consumer.sources.forEach(source => {
+      const content = consumer.sourceContentFor(source, true);
+      if (content != null) {
+        generator.setSourceContent(source, content);
+      }
+    });
+  } else {
+    const lineCount = countLines(code);
+    for (let line = 1; line <= lineCount; line++) {
+      generator.addMapping({
+        generated: {line, column: shiftColumn(line, 0)},
+        original: {line, column: 0},
+        source: sourcePath,
+      });
+    }
+    generator.setSourceContent(sourcePath, code);
+  }
+
+  return generator.toJSON();
+}
+
+/**
+ * Combines the maps of concatenated modules into an index source map. Each
+ * section is given as the 0-based line it starts at and its map.
+ */
+function createIndexMap({file, sections}) {
+  return {
+    version: 3,
+    file,
+    sections: sections.map(({line, map}) => ({
+      offset: {line, column: 0},
+      map,
+    })),
+  };
+}
+
+function countLines(code) {
+  return code.split('\n').length;
+}
+
+exports.countLines = countLines;
+exports.createIndexMap = createIndexMap;
+exports.createModuleMap = createModuleMap;
@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const extractRequires = require('./utils/extractRequires');
+
+/**
+ * Module whose code comes from a resolver plugin instead of a file. It has
+ * no package; its requires resolve from `path`, which defaults to `name`.
+ */
+class VirtualModule {
+  constructor({name, path, code, extractor = extractRequires}) {
+    this.path = path || name;
+    this.code = code;
+    this._name = name;
+    this.type = 'VirtualModule';
+    this._extractor = extractor;
+  }
+
+  isHaste() {
+    return Promise.resolve(false);
+  }
+
+  getName() {
+    return Promise.resolve(this._name);
+  }
+
+  getPackage() {
+    return null;
+  }
+
+  read() {
+    if (!this._data) {
+      const {deps} = this._extractor(this.code);
+      this._data = Promise.resolve({
+        code: this.code,
+        dependencies: deps.sync,
+        asyncDependencies: deps.async || [],
+        source: this.code,
+      });
+    }
+    return this._data;
+  }
+
+  getCode() {
+    return this.read().then(({code}) => code);
+  }
+
+  getMap() {
+    return Promise.resolve(undefined);
+  }
+
+  getDependencies() {
+    return this.read().then(data => data.dependencies);
+  }
+
+  getAsyncDependencies() {
+    return this.read().then(data => data.asyncDependencies);
+  }
+
+  invalidate() {}
+
+  hash() {
+    return `VirtualModule : ${this.path}`;
+  }
+
+  isJSON() {
+    return false;
+  }
+
+  isAsset() {
+    return false;
+  }
+
+  isPolyfill() {
+    return false;
+  }
+
+  isAsset_DEPRECATED() {
+    return false;
+  }
+
+  toJSON() {
+    return {
+      hash: this.hash(),
+      isJSON: false,
+      isAsset: false,
+      isAsset_DEPRECATED: false,
+      type: this.type,
+      path: this.path,
+    };
+  }
+}
+
+module.exports = VirtualModule;
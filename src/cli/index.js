@@ -0,0 +1,396 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const denodeify = require('denodeify');
+const fs = require('graceful-fs');
+const path = require('../fastpath');
+const Activity = require('../Activity');
+const exportGraph = require('../DependencyGraph/exportGraph');
+
+const writeFile = denodeify(fs.writeFile);
+
+const USAGE = `Usage: haste-resolver <command> [options]
+
+Commands:
+  resolve FROM SPECIFIER   Print the file SPECIFIER resolves to from FROM
+  deps ENTRY               List the dependencies of ENTRY in bundle order
+  why ENTRY MODULE         Show a shortest require chain from ENTRY to MODULE
+  graph ENTRY              Print the dependency graph of ENTRY
+  haste-map                List the haste modules by name and platform
+  bundle ENTRY             Bundle ENTRY to stdout or to --out
+  cache clear              Delete the cached module data
+
+Options:
+  --config FILE            haste.config.js or package.json to read options
+                           from (default: found from cwd)
+  --root DIR               Project root, can be repeated (default: cwd)
+  --blacklist REGEXP       Ignore files matching REGEXP
+  --platforms LIST         Comma separated list of known platforms
+  --asset-exts LIST        Comma separated list of asset extensions
+  --platform NAME          Platform to resolve for
+  --require-parser NAME    regex or ast
+  --module-ids NAME        names, numeric or hashed
+  --reset-cache            Ignore the cached module data
+  --out FILE               bundle: write the bundle and its chunks to FILE
+  --sourcemap-out FILE     bundle: write the source map to FILE
+  --no-dev                 bundle: build a production bundle
+  --all                    why: show every require chain, shortest first
+  --limit N                why --all: show at most N chains (default: 20)
+  --format NAME            graph: dot (default), json or mermaid
+  --collapse-node-modules  graph: show node_modules packages as single nodes
+  --dir DIR                graph: only show modules in DIR, can be repeated
+  --json                   Print JSON instead of text
+  --verbose                Log progress to stdout
+  --help                   Print this message
+`;
+
+const BOOLEAN_OPTIONS = [
+  'all',
+  'collapse-node-modules',
+  'dev',
+  'help',
+  'json',
+  'reset-cache',
+  'verbose',
+];
+const VALUE_OPTIONS = [
+  'asset-exts',
+  'blacklist',
+  'config',
+  'dir',
+  'format',
+  'limit',
+  'module-ids',
+  'out',
+  'platform',
+  'platforms',
+  'require-parser',
+  'root',
+  'sourcemap-out',
+];
+const REPEATABLE_OPTIONS = ['dir', 'root'];
+const DEFAULT_WHY_LIMIT = 20;
+
+const COMMANDS = {
+  resolve: {args: ['FROM', 'SPECIFIER'], run: resolve},
+  deps: {args: ['ENTRY'], run: deps},
+  why: {args: ['ENTRY', 'MODULE'], run: why},
+  graph: {args: ['ENTRY'], run: graph},
+  'haste-map': {args: [], run: hasteMap},
+  bundle: {args: ['ENTRY'], run: bundle},
+  cache: {args: ['clear'], run: cache},
+};
+
+/**
+ * Runs the command line `argv` (without the node and script paths). Returns
+ * a promise for the exit code.
+ */
+function run(argv, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    stderr.write(e.message + '\n\n' + USAGE);
+    return Promise.resolve(1);
+  }
+
+  const commandName = args._[0];
+  const command = COMMANDS[commandName];
+  if (args.help || !command) {
+    (args.help ? stdout : stderr).write(
+      (args.help || !commandName ? '' : `Unknown command: ${commandName}\n\n`) +
+      USAGE
+    );
+    return Promise.resolve(args.help ? 0 : 1);
+  }
+
+  const params = args._.slice(1);
+  if (params.length !== command.args.length) {
+    stderr.write(
+      `Usage: haste-resolver ${commandName} ${command.args.join(' ')}\n`
+    );
+    return Promise.resolve(1);
+  }
+
+  if (!args.verbose) {
+    Activity.disable();
+  }
+
+  let resolver;
+  try {
+    resolver = createResolver(args);
+  } catch (e) {
+    stderr.write(e.message + '\n');
+    return Promise.resolve(1);
+  }
+
+  return command.run(resolver, params, args)
+    .then(result => {
+      if (result != null) {
+        const output = args.json
+          ? JSON.stringify(result.json, null, 2)
+          : result.text;
+        stdout.write(output + '\n');
+      }
+      return 0;
+    }, e => {
+      stderr.write(e.message + '\n');
+      return 1;
+    })
+    .then(exitCode => resolver.close().then(() => exitCode));
+}
+
+function parseArgs(argv) {
+  const args = {_: [], dir: [], root: [], dev: true};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.slice(0, 2) !== '--') {
+      args._.push(arg);
+      continue;
+    }
+
+    let name = arg.slice(2);
+    let value;
+    const equals = name.indexOf('=');
+    if (equals !== -1) {
+      value = name.slice(equals + 1);
+      name = name.slice(0, equals);
+    }
+
+    if (
+      name.slice(0, 3) === 'no-' &&
+      BOOLEAN_OPTIONS.indexOf(name.slice(3)) !== -1
+    ) {
+      args[name.slice(3)] = false;
+    } else if (BOOLEAN_OPTIONS.indexOf(name) !== -1) {
+      args[name] = value == null || value !== 'false';
+    } else if (VALUE_OPTIONS.indexOf(name) === -1) {
+      throw new Error(`Unknown option: --${name}`);
+    } else {
+      if (value == null) {
+        if (i + 1 === argv.length) {
+          throw new Error(`Missing value for --${name}`);
+        }
+        value = argv[++i];
+      }
+      if (REPEATABLE_OPTIONS.indexOf(name) !== -1) {
+        args[name].push(value);
+      } else {
+        args[name] = value;
+      }
+    }
+  }
+  return args;
+}
+
+function createResolver(args) {
+  // Required lazily so that `--help` does not pay for loading the resolver.
+  const Resolver = require('../');
+  const {loadConfig} = require('../Config');
+  const config = loadConfig(args.config || process.cwd());
+  const options = Object.assign(
+    {roots: [process.cwd()]},
+    config && config.options,
+    {lazy: true}
+  );
+
+  const flags = {
+    roots: args.root.length ? args.root : undefined,
+    blacklistRE: args.blacklist ? new RegExp(args.blacklist) : undefined,
+    platforms: splitList(args.platforms),
+    assetExts: splitList(args['asset-exts']),
+    requireParser: args['require-parser'],
+    moduleIds: args['module-ids'],
+    resetCache: args['reset-cache'],
+  };
+  Object.keys(flags).forEach(name => {
+    if (flags[name] !== undefined) {
+      options[name] = flags[name];
+    }
+  });
+  return new Resolver(options);
+}
+
+function resolve(resolver, [from, specifier], {platform}) {
+  return resolver.resolveDependency(from, specifier, {platform})
+    .then(module => {
+      if (!module) {
+        throw new Error(`Unable to resolve ${specifier} from ${from}`);
+      }
+      return describeModule(module);
+    })
+    .then(module => ({json: module, text: module.path}));
+}
+
+function deps(resolver, [entry], {platform}) {
+  return resolver.getDependencies(entry, {platform})
+    .then(resolutionResponse => Promise.all(
+      resolutionResponse.getChunks().map(chunk =>
+        Promise.all(chunk.modules.map(describeModule))
+          .then(modules => ({id: chunk.id, modules}))
+      )
+    ))
+    .then(chunks => ({
+      json: chunks.length === 1 ? chunks[0].modules : chunks,
+      text: chunks.map(chunk =>
+        (chunk.id ? `\nchunk ${chunk.id}:\n` : '') +
+        chunk.modules.map(module => module.path).join('\n')
+      ).join('\n'),
+    }));
+}
+
+function why(resolver, [entry, target], {platform, all, limit}) {
+  const maxChains = limit == null ? DEFAULT_WHY_LIMIT : Number(limit);
+  if (!(maxChains > 0) || maxChains % 1 !== 0) {
+    return Promise.reject(new Error(`Invalid --limit: ${limit}`));
+  }
+  return resolver.getDependencies(entry, {platform})
+    .then(resolutionResponse => {
+      const modules = resolutionResponse.getChunks()
+        .reduce((found, chunk) => found.concat(chunk.modules), []);
+      return Promise.all(modules.map(module => module.getName()))
+        .then(names => {
+          const targetPath = path.resolve(target);
+          const index = modules.findIndex((module, i) =>
+            module.path === targetPath || names[i] === target
+          );
+          if (index === -1) {
+            throw new Error(`${target} is not a dependency of ${entry}`);
+          }
+          // One more chain than shown tells whether there are more.
+          return resolutionResponse.whyIncluded(
+            modules[index],
+            {all, limit: maxChains + 1}
+          );
+        });
+    })
+    .then(foundChains => {
+      const truncated = foundChains.length > maxChains;
+      const chains = foundChains.slice(0, maxChains);
+      const json = chains.map(chain =>
+        chain.map(({specifier, module, async}) =>
+          ({specifier, path: module.path, async})
+        )
+      );
+      const more = truncated
+        ? [`Only ${maxChains} of the chains are shown, see --limit.`]
+        : [];
+      return {
+        json: all ? {chains: json, truncated} : json[0] || [],
+        text: chains.map(chain =>
+          chain.map(({specifier, module, async}, depth) =>
+            depth === 0
+              ? module.path
+              : `${'  '.repeat(depth - 1)}-> ${specifier}` +
+                `${async ? ' (async)' : ''} (${module.path})`
+          ).join('\n')
+        ).concat(more).join('\n\n'),
+      };
+    });
+}
+
+function graph(resolver, [entry], args) {
+  const format = args.format || 'dot';
+  if (['dot', 'json', 'mermaid'].indexOf(format) === -1) {
+    return Promise.reject(new Error(`Unknown graph format: ${format}`));
+  }
+  return resolver.getDependencies(entry, {platform: args.platform})
+    .then(resolutionResponse => resolutionResponse.toGraphJSON({
+      rootDir: process.cwd(),
+      collapseNodeModules: args['collapse-node-modules'],
+      directories: args.dir.length ? args.dir : undefined,
+    }))
+    .then(dependencyGraph => ({
+      json: dependencyGraph,
+      text: {
+        dot: () => exportGraph.toDOT(dependencyGraph),
+        json: () => JSON.stringify(dependencyGraph, null, 2),
+        mermaid: () => exportGraph.toMermaid(dependencyGraph),
+      }[format]().replace(/\n$/, ''),
+    }));
+}
+
+function hasteMap(resolver) {
+  return resolver.getHasteMap().then(map => {
+    const modules = map.getAllModules().map(({name, platform, module}) => ({
+      name,
+      platform,
+      path: module.path,
+    }));
+    return {
+      json: modules,
+      text: modules.map(({name, platform, path: modulePath}) =>
+        `${name} [${platform}] ${modulePath}`
+      ).join('\n'),
+    };
+  });
+}
+
+function bundle(resolver, [entry], args) {
+  const out = args.out;
+  const chunkUrl = id => `${id}.chunk.js`;
+  return resolver.buildBundle(entry, {
+    platform: args.platform,
+    dev: args.dev,
+    chunkUrl,
+  }).then(builtBundle => {
+    const chunks = builtBundle.getChunks();
+    if (!out) {
+      if (chunks.length || args['sourcemap-out']) {
+        throw new Error('Bundles with async chunks or source maps need --out');
+      }
+      return {json: builtBundle.getSource(), text: builtBundle.getSource()};
+    }
+
+    const outputDir = path.dirname(path.resolve(out));
+    const files = [{path: out, code: builtBundle.getSource()}].concat(
+      chunks.map(chunk => ({
+        path: path.join(outputDir, chunkUrl(chunk.id)),
+        code: chunk.bundle.getSource(),
+      }))
+    );
+    if (args['sourcemap-out']) {
+      files.push({
+        path: args['sourcemap-out'],
+        code: JSON.stringify(
+          builtBundle.getSourceMap({file: path.basename(out)})
+        ),
+      });
+    }
+    return Promise.all(files.map(file => writeFile(file.path, file.code)))
+      .then(() => ({
+        json: files.map(file => file.path),
+        text: files.map(file => `Wrote ${file.path}`).join('\n'),
+      }));
+  });
+}
+
+function cache(resolver, [action]) {
+  if (action !== 'clear') {
+    return Promise.reject(new Error(`Unknown cache action: ${action}`));
+  }
+  return resolver.clearCache()
+    .then(() => ({json: {cleared: true}, text: 'Cache cleared'}));
+}
+
+function describeModule(module) {
+  return Promise.resolve(module.getName())
+    .then(name => ({name, path: module.path}));
+}
+
+function splitList(list) {
+  return list ? list.split(',').filter(Boolean) : undefined;
+}
+
+exports.parseArgs = parseArgs;
+exports.run = run;
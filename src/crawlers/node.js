@@ -8,7 +8,11 @@ const path = require('../fastpath');
 const readDir = denodeify(fs.readdir);
 const stat = denodeify(fs.stat);
 
-function nodeRecReadDir(roots, {ignore, exts}) {
+/**
+ * Lists the files under `roots` with one of `exts`. When given, `mtimes` is
+ * filled with the mtime of every file listed.
+ */
+function nodeRecReadDir(roots, {ignore, exts, mtimes}) {
   const queue = roots.slice();
   const retFiles = [];
   const extPattern = new RegExp(
@@ -44,7 +48,11 @@ function nodeRecReadDir(roots, {ignore, exts}) {
           }
 
           if (filePath.match(extPattern)) {
-            retFiles.push(path.resolve(filePath));
+            const absPath = path.resolve(filePath);
+            retFiles.push(absPath);
+            if (mtimes) {
+              mtimes[absPath] = stats[i].mtime.getTime();
+            }
           }
         });
 
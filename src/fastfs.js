@@ -67,12 +67,22 @@ class Fastfs extends EventEmitter {
         activity.endEvent(fastfsActivity);
       }
 
-      if (this._fileWatcher) {
-        this._fileWatcher.on('all', this._processFileChange.bind(this));
+      if (this._fileWatcher && !this._closed) {
+        this._fileChangeListener = this._processFileChange.bind(this);
+        this._fileWatcher.on('all', this._fileChangeListener);
       }
     });
   }
 
+  close() {
+    this._closed = true;
+    if (this._fileChangeListener) {
+      this._fileWatcher.removeListener('all', this._fileChangeListener);
+      this._fileChangeListener = null;
+    }
+    this.removeAllListeners('change');
+  }
+
   stat(filePath) {
     return Promise.resolve().then(() => this._getFile(filePath).stat());
   }
@@ -9,14 +9,40 @@
 'use strict';
 
 const assert = require('assert');
+const debug = require('debug')('Resolver');
 const fs = require('fs');
+const os = require('os');
 const path = require('./fastpath');
+const {EventEmitter} = require('events');
 const Activity = require('./Activity');
+const Bundle = require('./Bundle');
 const Cache = require('./Cache');
+const {loadConfig} = require('./Config');
 const DependencyGraph = require('./DependencyGraph');
-const Polyfill = require('./Polyfill');
+const JSTransformer = require('./JSTransformer');
+const {createTransformer: createBabelTransformer} =
+  require('./JSTransformer/babel');
+const ModuleIdRegistry = require('./ModuleIdRegistry');
+const RamBundle = require('./RamBundle');
+const getAssetDataFromName = require('./utils/getAssetDataFromName');
+const extractRequiresAST = require('./utils/extractRequiresAST');
+const findRequires = require('./utils/findRequires');
+const findRequiresAST = require('./utils/findRequiresAST');
+const getInverseDependencies = require('./utils/getInverseDependencies');
+const rewriteRequires = require('./utils/rewriteRequires');
+const {createModuleMap} = require('./SourceMap');
 
-class Resolver {
+const MODULE_SYSTEM_PATH = path.join(__dirname, 'polyfills', 'require.js');
+const POLYFILL_WRAPPER_HEADER = '(function(global) {';
+const TEST_FILE_RE = /[\\/]__tests__[\\/].*\.js$/;
+const MODULE_ID_REGISTRY_NAME = 'haste-module-ids.json';
+
+/**
+ * Emits `ready` once the haste map has been built, `change` with the type
+ * and absolute path of every file change it has processed, and `error` when
+ * loading fails. Without `error` listeners, failures are logged instead.
+ */
+class Resolver extends EventEmitter {
   constructor({
     roots,
     blacklistRE,
@@ -27,8 +53,29 @@ class Resolver {
     assetExts,
     fileWatcher,
     resetCache,
-    shouldThrowOnUnresolvedErrors
+    shouldThrowOnUnresolvedErrors,
+    requireParser = 'regex',
+    moduleIds = 'names',
+    moduleIdRegistryPath,
+    lazy = false,
+    extensions,
+    mocksPattern,
+    transformCode,
+    extractRequires,
+    assetRoots_DEPRECATED,
+    enableAssetMap,
+    ignoreFilePath,
+    resolvers,
+    moduleNameMapper,
+    platformModuleNameMapper,
+    hasteMapSnapshot = false,
+    transformModulePath,
+    maxWorkers,
+    babelPreset,
+    failOnCycles,
+    allowedCycles,
   }) {
+    super();
 
     roots = roots.map(function(root){
       return path.resolve(root);
@@ -36,146 +83,1083 @@ class Resolver {
 
     roots.forEach(verifyRootExists);
 
-    this._depGraph = new DependencyGraph({
+    this._roots = roots;
+
+    if (requireParser !== 'regex' && requireParser !== 'ast') {
+      throw new Error('Unrecognized requireParser: ' + requireParser);
+    }
+    this._requireParser = requireParser;
+
+    // Kept with the project, so that it can be checked in and ids stay the
+    // same on every machine.
+    const registryPath = moduleIdRegistryPath
+      ? path.resolve(moduleIdRegistryPath)
+      : path.join(roots[0], MODULE_ID_REGISTRY_NAME);
+    this._moduleIds = new ModuleIdRegistry({
+      strategy: moduleIds,
+      roots,
+      registryPath,
+    });
+
+    const transformers = [transformCode, transformModulePath, babelPreset];
+    if (transformers.filter(Boolean).length > 1) {
+      throw new Error(
+        'Only one of transformCode, transformModulePath and babelPreset can ' +
+        'be used'
+      );
+    }
+
+    if (babelPreset) {
+      const transform =
+        createBabelTransformer(babelPreset === true ? undefined : babelPreset);
+      transformCode = (module, code, transformOptions) => Promise.resolve()
+        .then(() => transform(module.path, code, transformOptions));
+    }
+
+    if (transformModulePath) {
+      transformModulePath = path.resolve(transformModulePath);
+      this._transformer = new JSTransformer({
+        transformModulePath,
+        maxWorkers,
+        // Custom extractors cannot be sent to the workers, the dependencies
+        // are extracted here instead.
+        requireParser: extractRequires ? null : requireParser,
+      });
+      transformCode = (module, code, transformOptions) =>
+        this._transformer.transformFile(module.path, code, transformOptions);
+    }
+
+    this._cache = new Cache({
+      resetCache: resetCache,
+      cacheKey: [
+        'haste-resolver-cache',
+        roots.join(',').split(path.sep).join('-'),
+        requireParser,
+      ].concat(
+        transformModulePath || [],
+        babelPreset ? 'babel:' + describePreset(babelPreset) : []
+      ).join('$'),
+    });
+
+    platforms = platforms || ['ios', 'android', 'web', 'weex'];
+    assetRoots_DEPRECATED = assetRoots_DEPRECATED &&
+      assetRoots_DEPRECATED.map(root => path.resolve(root));
+    this._assetRoots = assetRoots_DEPRECATED;
+
+    // Everything that changes which files are crawled or how they are named.
+    const hasteMapSnapshotKey = JSON.stringify([
+      roots,
+      assetRoots_DEPRECATED,
+      blacklistRE && String(blacklistRE),
+      providesModuleNodeModules,
+      platforms,
+      extensions,
+      assetExts,
+    ]);
+
+    // The registry is written by `close()`, it is neither a module nor a
+    // change to watch.
+    const isIgnored = filepath =>
+      filepath === registryPath ||
+      (blacklistRE && blacklistRE.test(filepath)) ||
+      (ignoreFilePath && ignoreFilePath(filepath));
+    const graphOptions = {
       activity: Activity,
+      lazy: true,
       roots,
       assetExts,
+      assetRoots_DEPRECATED,
       providesModuleNodeModules,
-      platforms: platforms || ['ios', 'android', 'web', 'weex'],
+      platforms,
       preferNativePlatform,
       fileWatcher,
       shouldThrowOnUnresolvedErrors,
-      ignoreFilePath: function(filepath) {
-        return filepath.indexOf('__tests__') !== -1 ||
-          (blacklistRE && blacklistRE.test(filepath));
-      },
-      cache: new Cache({
-        resetCache: resetCache,
-        cacheKey: [
-          'haste-resolver-cache',
-          roots.join(',').split(path.sep).join('-')
-        ].join('$'),
-      }),
+      extensions,
+      mocksPattern,
+      transformCode,
+      extractRequires: extractRequires ||
+        (requireParser === 'ast' ? extractRequiresAST : undefined),
+      enableAssetMap,
+      resolvers,
+      moduleNameMapper,
+      platformModuleNameMapper,
+      failOnCycles,
+      allowedCycles: allowedCycles && allowedCycles.map(
+        pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern)
+      ),
+      hasteMapSnapshotPath: typeof hasteMapSnapshot === 'string'
+        ? path.resolve(hasteMapSnapshot)
+        : hasteMapSnapshot && Cache.getCacheFilePath(
+          os.tmpdir(),
+          'haste-resolver-snapshot',
+          hasteMapSnapshotKey
+        ),
+      hasteMapSnapshotKey,
+      resetHasteMapSnapshot: resetCache,
+      cache: this._cache,
+    };
+
+    this._depGraph = new DependencyGraph(Object.assign({}, graphOptions, {
+      ignoreFilePath: filepath =>
+        filepath.indexOf('__tests__') !== -1 || isIgnored(filepath),
+    }));
+    // Tests are only crawled when `getAffected()` needs them.
+    this._testGraphOptions = Object.assign({}, graphOptions, {
+      ignoreFilePath: isIgnored,
+      hasteMapSnapshotPath: null,
     });
+    this._testGraph = null;
+    this._testDependencies = null;
+    this._depGraph.on('change', (type, filePath) =>
+      this.emit('change', type, filePath)
+    );
 
     this._polyfillModuleNames = polyfillModuleNames || [];
 
-    this._depGraph.load().catch(err => {
-       console.error(err.message + '\n' + err.stack);
-       process.exit(1);
-     });
+    if (!lazy) {
+      // Failures are reported through `error`.
+      this.load().catch(() => {});
+    }
   }
 
-  getDependencies(main, options) {
+  /**
+   * Creates a resolver from the project config found from `projectPath`,
+   * see `Config.loadConfig()`. `options` take precedence over the config.
+   */
+  static fromConfig(projectPath, options) {
+    const config = loadConfig(projectPath);
+    if (!config) {
+      throw new Error(
+        'No haste.config.js or package.json with a `haste` field ' +
+        `found from ${path.resolve(projectPath || '.')}`
+      );
+    }
+    return new Resolver(Object.assign({}, config.options, options));
+  }
 
-    return this._depGraph.getDependencies({
-      entryPath: main,
-      platform: options.platform,
-      recursive: options.recursive,
-    }).then(resolutionResponse => {
-      this._getPolyfillDependencies().reverse().forEach(
-        polyfill => resolutionResponse.prependDependency(polyfill)
+  /**
+   * Builds the haste map. Called from the constructor unless `lazy` is set;
+   * every other method loads on demand, so that `ready` and `error` are
+   * emitted on first use.
+   */
+  load() {
+    if (!this._ready) {
+      this._ready = this._depGraph.load().then(
+        () => {
+          this.emit('ready');
+        },
+        err => {
+          this._ready = null;
+          this._emitError(err);
+          throw err;
+        }
       );
+    }
+    return this._ready;
+  }
+
+  /**
+   * Detaches from the file watcher, stops the transform workers, persists
+   * the cache, the module id registry and the haste map snapshot and
+   * releases the in-memory state. The resolver cannot be used
+   * afterwards.
+   */
+  close() {
+    if (this._transformer) {
+      this._transformer.kill();
+    }
+    return Promise.all([
+      this._depGraph.close(),
+      this._testGraph && this._testGraph.close(),
+      this._cache.end(),
+      this._moduleIds.save(),
+    ]).then(() => {
+      this._ready = null;
+    });
+  }
+
+  /**
+   * Makes the next resolutions ask the `resolvers` plugins again. Their
+   * results are otherwise kept until a file change affects them, which
+   * misses plugins whose answers depend on anything else.
+   */
+  invalidatePlugins() {
+    this._depGraph.invalidatePlugins();
+    if (this._testGraph) {
+      this._testGraph.invalidatePlugins();
+    }
+  }
+
+  /**
+   * Drops the cached module data, in memory and on disk, and the haste map
+   * snapshot.
+   */
+  clearCache() {
+    return Promise.all([
+      this._cache.clear(),
+      this._depGraph.clearHasteMapSnapshot(),
+    ]);
+  }
+
+  _emitError(err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    } else {
+      console.error(err.message + '\n' + err.stack);
+    }
+  }
 
+  /**
+   * Resolves `specifier` as required from the file `from`, returning a
+   * promise for the module.
+   */
+  resolveDependency(from, specifier, {platform} = {}) {
+    return this.load().then(() => this._depGraph.resolveDependency({
+      fromPath: from,
+      toModuleName: specifier,
+      platform,
+    }));
+  }
+
+  /**
+   * Finds the file to serve for the asset at `assetPath`: its variant for
+   * `platform` if there is one, at the smallest scale not below `scale`, or
+   * at the largest scale available. Resolves to `null` if there is none.
+   */
+  resolveAsset(assetPath, {platform, scale = 1} = {}) {
+    return this.load()
+      .then(() => this._depGraph.getAssetModules(
+        path.resolve(assetPath),
+        platform
+      ))
+      .then(assetModules => pickAssetScale(assetModules, scale));
+  }
+
+  /**
+   * Resolves the dependencies of `main`. `platform` and `dev` (true by
+   * default) are added to the `transformOptions` modules are read with, so
+   * that their transformed code is cached per platform and mode.
+   */
+  getDependencies(main, options) {
+    const transformOptions = withPlatformOptions(options);
+    return this.load().then(() => Promise.all([
+      this._depGraph.getDependencies({
+        entryPath: main,
+        platform: options.platform,
+        transformOptions,
+        recursive: options.recursive,
+      }),
+      this._getPolyfillDependencies({
+        platform: options.platform,
+        transformOptions,
+      }),
+    ])).then(([resolutionResponse, polyfills]) => {
+      prependPolyfills(resolutionResponse, polyfills);
       return resolutionResponse.finalize();
     });
   }
 
-  _getPolyfillDependencies() {
-    const polyfillModuleNames = this._polyfillModuleNames;
+  /**
+   * Resolves `main` for each of `platforms` and compares the results, see
+   * `diffPlatforms()`. Each platform is resolved separately, since the
+   * transformed code and so the requires of a module can depend on the
+   * platform. `options` are those of `getDependencies()`, without `platform`.
+   */
+  comparePlatforms(main, platforms, options = {}) {
+    return Promise.all(platforms.map(platform => this.getDependencies(
+      main,
+      Object.assign({}, options, {platform})
+    ))).then(responses => diffPlatforms(platforms, responses));
+  }
+
+  /**
+   * Resolves all `entries` in one pass and splits their modules into a
+   * common chunk and one chunk per entry, see
+   * `DependencyGraph.getDependenciesForEntries()`. Polyfills are part of the
+   * common chunk.
+   */
+  getDependenciesForEntries(entries, options = {}) {
+    const transformOptions = withPlatformOptions(options);
+    return this.load().then(() => Promise.all([
+      this._depGraph.getDependenciesForEntries({
+        entryPaths: entries,
+        platform: options.platform,
+        transformOptions,
+        minEntries: options.minEntries,
+        minSize: options.minSize,
+      }),
+      this._getPolyfillDependencies({
+        platform: options.platform,
+        transformOptions,
+      }),
+    ])).then(([{responses, chunks}, polyfills]) => {
+      chunks.forEach(chunk => {
+        chunk.modules = chunk.modules
+          .filter(module => polyfills.modules.indexOf(module) === -1);
+      });
+      chunks[0].modules = polyfills.modules.concat(chunks[0].modules);
+      return Promise.all(responses.map(resolutionResponse => {
+        prependPolyfills(resolutionResponse, polyfills);
+        return resolutionResponse.finalize();
+      })).then(finalizedResponses => ({
+        responses: finalizedResponses,
+        chunks,
+      }));
+    });
+  }
+
+  /**
+   * Finds what needs to be rebuilt or run again after `changedFiles`
+   * changed: the `entries` whose bundle includes one of them, polyfills
+   * included, and the test files (the JavaScript files under `__tests__`
+   * directories) that depend on one of them. A change to a `package.json`
+   * affects everything depending on a module of its package. Entries and
+   * tests that fail to resolve are always affected. Resolves to
+   * `{entries, tests}`, both lists of absolute paths, except for the entries
+   * that failed to resolve, which are listed as given.
+   *
+   * The requires of the tests are kept between calls and only resolved again
+   * for the tests depending on a file that changed since.
+   */
+  getAffected(changedFiles, {entries = [], platform, dev} = {}) {
+    const inverse = Object.create(null);
+    const resolvedEntries = Promise.all(entries.map(entry =>
+      this.getDependencies(entry, {platform, dev}).then(
+        response => {
+          getInverseDependencies(response, inverse);
+          return {path: response.getChunks()[0].entry.path, failed: false};
+        },
+        () => ({path: entry, failed: true})
+      )
+    ));
+    const resolvedTests = this.load().then(() => this._getTestDependencies(
+      withPlatformOptions({platform, dev})
+    ));
+
+    return Promise.all([resolvedEntries, resolvedTests])
+      .then(([entryResults, testResults]) => {
+        testResults
+          .filter(result => result.inverse)
+          .forEach(result => mergeInverseDependencies(inverse, result.inverse));
+        const affected = getAffectedPaths(
+          inverse,
+          changedFiles.map(file => path.resolve(file)),
+          entryResults.concat(testResults).map(result => result.path)
+        );
+        const affectedPaths = results => results
+          .filter(result => result.failed || affected[result.path])
+          .map(result => result.path);
+        return {
+          entries: affectedPaths(entryResults),
+          tests: affectedPaths(testResults).sort(),
+        };
+      });
+  }
+
+  /**
+   * Resolves to `{path, failed, inverse}` for every test file, `inverse`
+   * mapping the modules of the test to the modules requiring them, see
+   * `getInverseDependencies()`. Results are kept for the last
+   * `transformOptions` until a file of the test changes, see
+   * `_invalidateTests()`.
+   */
+  _getTestDependencies(transformOptions) {
+    const key = JSON.stringify(transformOptions);
+    if (!this._testDependencies || this._testDependencies.key !== key) {
+      this._testDependencies = {key, tests: Object.create(null)};
+    }
+    const {tests} = this._testDependencies;
+    const testGraph = this._getTestGraph();
+    return testGraph.matchFilesByPattern(TEST_FILE_RE)
+      .then(testPaths => Promise.all(testPaths.map(testPath => {
+        if (!tests[testPath]) {
+          const result = {path: testPath, failed: false, inverse: null};
+          result.loading = testGraph.getDependencies({
+            entryPath: testPath,
+            platform: transformOptions.platform,
+            transformOptions,
+          }).then(response => response.finalize()).then(
+            response => {
+              result.inverse = getInverseDependencies(response);
+              return result;
+            },
+            // A test that cannot be resolved cannot be ruled out either.
+            () => {
+              result.failed = true;
+              return result;
+            }
+          );
+          tests[testPath] = result;
+        }
+        return tests[testPath].loading;
+      })));
+  }
+
+  /**
+   * Forgets the requires of the tests that a file change can affect: those
+   * including the changed file, those that failed or are being resolved, and
+   * all of them when a file was added or deleted or a `package.json`
+   * changed.
+   */
+  _invalidateTests(type, filePath) {
+    if (!this._testDependencies) {
+      return;
+    }
+    if (type !== 'change' || path.basename(filePath) === 'package.json') {
+      this._testDependencies = null;
+      return;
+    }
+    const {tests} = this._testDependencies;
+    Object.keys(tests).forEach(testPath => {
+      const {inverse} = tests[testPath];
+      if (!inverse || testPath === filePath || inverse[filePath]) {
+        delete tests[testPath];
+      }
+    });
+  }
+
+  _getTestGraph() {
+    if (!this._testGraph) {
+      this._testGraph = new DependencyGraph(this._testGraphOptions);
+      this._testGraph.on('change', (type, filePath) =>
+        this._invalidateTests(type, filePath)
+      );
+    }
+    return this._testGraph;
+  }
+
+  /**
+   * Resolves the `polyfillModuleNames`, see `DependencyGraph.getPolyfill()`,
+   * and the modules they require. Resolves to `{modules, responses}`:
+   * `modules` lists the required modules followed by the polyfills, in
+   * order, and `responses` holds the resolved requires of each polyfill.
+   */
+  _getPolyfillDependencies({platform, transformOptions}) {
+    return Promise.all(this._polyfillModuleNames.map(
+      name => this._depGraph.getPolyfill({name, platform})
+    )).then(polyfills => Promise.all(polyfills.map(
+      polyfill => this._depGraph.getDependencies({
+        entryPath: polyfill.path,
+        platform,
+        transformOptions,
+      }).then(response => response.finalize())
+    )).then(responses => {
+      const modules = [];
+      responses.forEach(response => response.dependencies.slice(1).forEach(
+        module => modules.indexOf(module) === -1 && modules.push(module)
+      ));
+      return {modules: modules.concat(polyfills), responses};
+    }));
+  }
+
+  /**
+   * Watches the dependencies of `entry`. After every file change affecting
+   * them, `callback(error, delta)` is called with the modules `added`,
+   * `modified` and `removed` since the last delta, each as `{id, path}`.
+   * Added and modified modules also carry their `code`, wrapped in
+   * `__accept` for the module system runtime to hot replace them. Polyfills
+   * are included, with a `null` id and their code wrapped as in bundles.
+   *
+   * Returns a promise for a function that stops watching.
+   */
+  watchEntry(entry, platform, callback) {
+    let snapshot = this._getGraphSnapshot(entry, platform);
+    const onChange = (type, filePath) => {
+      snapshot = snapshot.then(previous =>
+        this._getGraphSnapshot(entry, platform).then(
+          next => this._getDelta(previous, next, filePath).then(delta => {
+            if (
+              delta.added.length ||
+              delta.modified.length ||
+              delta.removed.length
+            ) {
+              callback(null, delta);
+            }
+            return next;
+          }),
+          error => {
+            // The next delta is computed against the last graph that could
+            // be resolved.
+            callback(error);
+            return previous;
+          }
+        )
+      );
+    };
+
+    this.on('change', onChange);
+    const unwatch = () => this.removeListener('change', onChange);
+    return snapshot.then(() => unwatch, error => {
+      unwatch();
+      throw error;
+    });
+  }
+
+  /**
+   * The modules of `entry`, polyfills included, with their resolved
+   * requires. Requires that were not resolved again since the previous
+   * snapshot are the same arrays, see `ResolutionRequest.invalidateFile()`.
+   */
+  _getGraphSnapshot(entry, platform) {
+    return this.getDependencies(entry, {platform})
+      .then(resolutionResponse => {
+        const modules = Object.create(null);
+        allModules(resolutionResponse).forEach(module => {
+          modules[module.path] = {
+            module,
+            pairs: resolutionResponse.getResolvedDependencyPairs(module),
+            asyncPairs:
+              resolutionResponse.getResolvedAsyncDependencyPairs(module),
+          };
+        });
+        return {resolutionResponse, modules};
+      });
+  }
+
+  /**
+   * Modules are modified when their file changed or when their requires
+   * resolve to different files, which changes their wrapped code. Only the
+   * requires resolved again for the change are compared.
+   */
+  _getDelta(previous, next, changedPath) {
+    const added = [];
+    const modified = [];
+    const removed = [];
+    Object.keys(next.modules).forEach(modulePath => {
+      const previousModule = previous.modules[modulePath];
+      const nextModule = next.modules[modulePath];
+      if (!previousModule) {
+        added.push(nextModule.module);
+      } else if (
+        modulePath === changedPath ||
+        !samePairs(previousModule.pairs, nextModule.pairs) ||
+        !samePairs(previousModule.asyncPairs, nextModule.asyncPairs)
+      ) {
+        modified.push(nextModule.module);
+      }
+    });
+    Object.keys(previous.modules).forEach(modulePath => {
+      if (!next.modules[modulePath]) {
+        removed.push(previous.modules[modulePath].module);
+      }
+    });
+
+    const getHotModule = module =>
+      this._getModuleCode(module, next.resolutionResponse.transformOptions)
+        .then(({code}) =>
+          this.resolveRequires(next.resolutionResponse, module, code)
+        )
+        .then(({name, code}) => ({
+          id: name,
+          path: module.path,
+          code: module.isPolyfill()
+            ? definePolyfillCode(code)
+            : defineModuleCode(name, code, '__accept'),
+        }));
+
+    return Promise.all([
+      Promise.all(added.map(getHotModule)),
+      Promise.all(modified.map(getHotModule)),
+      Promise.all(removed.map(module =>
+        Promise.resolve(
+          module.isPolyfill() ? null : this._moduleIds.getId(module)
+        ).then(id => ({id, path: module.path}))
+      )),
+    ]).then(([addedModules, modifiedModules, removedModules]) => ({
+      added: addedModules,
+      modified: modifiedModules,
+      removed: removedModules,
+    }));
+  }
+
+  /**
+   * Resolves `main` and builds a `Bundle` out of its dependencies: the
+   * prelude, the module system runtime, the polyfills, every module wrapped
+   * in `__d` and the `require` call that starts the main module.
+   *
+   * Async chunks are attached to the bundle, see `Bundle.getChunks()`.
+   * `chunkUrl` maps chunk ids to the URL they are loaded from at runtime.
+   */
+  buildBundle(main, {
+    platform,
+    dev = true,
+    transformOptions,
+    chunkUrl = defaultChunkUrl,
+  } = {}) {
+    return this.getDependencies(main, {platform, dev, transformOptions})
+      .then(resolutionResponse => {
+        const chunks = resolutionResponse.getChunks();
+        chunks.forEach(chunk => this._moduleIds.allocate(chunk.modules));
+        return Promise.all(chunks.map(chunk => this._wrapModules(
+          resolutionResponse,
+          chunk.modules,
+          resolutionResponse.transformOptions
+        ))).then(wrappedChunks => this._createBundle(
+          resolutionResponse,
+          chunks,
+          wrappedChunks,
+          {dev, chunkUrl}
+        ));
+      });
+  }
+
+  _wrapModules(resolutionResponse, modules, transformOptions) {
+    return Promise.all(modules.map(module =>
+      this._getModuleCode(module, transformOptions)
+        .then(({code, map}) =>
+          this.wrapModule(resolutionResponse, module, code, map)
+        )
+        .then(({name, code, map}) => ({
+          name,
+          code,
+          map,
+          sourcePath: module.path,
+          isPolyfill: module.isPolyfill(),
+        }))
+    ));
+  }
+
+  _createBundle(resolutionResponse, chunks, wrappedChunks, {dev, chunkUrl}) {
+    const bundle = new Bundle({dev});
+    const moduleSystemCode = fs.readFileSync(MODULE_SYSTEM_PATH, 'utf8');
+    bundle.addModule({
+      code: `var __DEV__ = ${!!dev};`,
+      sourcePath: null,
+      isPolyfill: true,
+    });
+    bundle.addModule({
+      code: definePolyfillCode(moduleSystemCode),
+      map: createModuleMap({
+        code: moduleSystemCode,
+        sourcePath: MODULE_SYSTEM_PATH,
+        columnOffset: POLYFILL_WRAPPER_HEADER.length,
+      }),
+      sourcePath: MODULE_SYSTEM_PATH,
+      isPolyfill: true,
+    });
+    wrappedChunks[0].forEach(module => bundle.addModule(module));
+
+    const asyncChunks = chunks.slice(1);
+    asyncChunks.forEach((chunk, index) => {
+      const chunkBundle = new Bundle({dev});
+      wrappedChunks[index + 1].forEach(module => chunkBundle.addModule(module));
+      bundle.addChunk(chunk.id, chunkBundle.finalize({runMainModule: false}));
+    });
+
+    const mainModule = resolutionResponse.dependencies[
+      resolutionResponse.numPrependedDependencies
+    ];
+    const asyncEntries = asyncChunks.filter(chunk => chunk.entry);
+    return Promise.all([
+      this._moduleIds.getId(mainModule),
+      Promise.all(
+        asyncEntries.map(chunk => this._moduleIds.getId(chunk.entry))
+      ),
+      this._moduleIds.save(),
+    ]).then(([mainModuleId, asyncEntryIds]) => {
+      if (asyncEntries.length) {
+        const moduleChunks = {};
+        const urls = {};
+        asyncEntries.forEach((chunk, index) => {
+          moduleChunks[asyncEntryIds[index]] = chunk.dependsOn.concat(chunk.id);
+        });
+        asyncChunks.forEach(chunk => urls[chunk.id] = chunkUrl(chunk.id));
+        bundle.addModule({
+          code: `require.registerChunks(${JSON.stringify(moduleChunks)}, ` +
+            `${JSON.stringify(urls)});`,
+          sourcePath: null,
+          isPolyfill: true,
+        });
+      }
+      bundle.setMainModuleId(mainModuleId);
+      return bundle.finalize();
+    });
+  }
+
+  bundle(main, options) {
+    return this.buildBundle(main, options).then(bundle => bundle.getSource());
+  }
+
+  /**
+   * Builds a RAM bundle out of `main`, where modules are only evaluated by
+   * the host when first required. `format` is either `indexed` (a single
+   * file with a module table, needs `moduleIds: 'numeric'`) or `directory`
+   * (startup code plus one file per module).
+   *
+   * The startup code holds the module system, the polyfills and the
+   * `startupModules`, given as file paths or module ids.
+   */
+  buildRamBundle(main, {
+    platform,
+    dev = true,
+    transformOptions,
+    format = 'indexed',
+    startupModules = [],
+  } = {}) {
+    if (format !== 'indexed' && format !== 'directory') {
+      return Promise.reject(
+        new Error('Unrecognized RAM bundle format: ' + format)
+      );
+    }
+
+    const startupModuleKeys = startupModules.map(module =>
+      typeof module === 'string' && /[\/\\]/.test(module)
+        ? path.resolve(module)
+        : module
+    );
+    return this.buildBundle(main, {platform, dev, transformOptions})
+      .then(bundle => format === 'indexed'
+        ? RamBundle.asIndexedFile(bundle, {startupModules: startupModuleKeys})
+        : RamBundle.asDirectory(bundle, {startupModules: startupModuleKeys})
+      );
+  }
+
+  writeRamBundle(main, outputPath, options) {
+    return this.buildRamBundle(main, options)
+      .then(ramBundle => RamBundle.write(ramBundle, outputPath));
+  }
+
+  _getModuleCode(module, transformOptions) {
+    if (module.isAsset_DEPRECATED()) {
+      return module.getName().then(name => generateAssetModule({
+        __packager_asset: true,
+        isStatic: true,
+        uri: name.replace(/^image!/, ''),
+        scales: [module.resolution],
+        deprecated: true,
+      }));
+    }
 
-    return polyfillModuleNames.map(
-      (polyfillModuleName, idx) => new Polyfill({
-        path: polyfillModuleName,
-        id: polyfillModuleName,
-        dependencies: polyfillModuleNames.slice(0, idx),
-        isPolyfill: true,
-      })
+    if (module.isAsset()) {
+      const {name, type, resolution} = getAssetDataFromName(module.path);
+      // Assets outside of the roots are served by their absolute path.
+      const root = this._roots.concat(this._assetRoots || [])
+        .find(r => isInDirectory(r, module.path));
+      const relativeDir = (
+        root
+          ? path.relative(root, path.dirname(module.path))
+          : path.dirname(module.path).slice(1)
+      ).split(path.sep).join('/');
+      return Promise.resolve(generateAssetModule({
+        __packager_asset: true,
+        httpServerLocation: relativeDir ? '/assets/' + relativeDir : '/assets',
+        name,
+        type,
+        scales: [resolution],
+      }));
+    }
+
+    return module.read(transformOptions).then(({code, map}) =>
+      module.isJSON() ? {code: `module.exports = ${code};`} : {code, map}
     );
   }
 
   getHasteMap() {
     var depGraph = this._depGraph;
-    return depGraph.load().then(()=>{
+    // The graph's own `load()` also waits for file changes being processed.
+    return this.load().then(() => depGraph.load()).then(()=>{
       return depGraph._hasteMap;
     })
   }
 
   resolveRequires(resolutionResponse, module, code) {
     return Promise.resolve().then(() => {
-      if (module.isPolyfill()) {
-        return Promise.resolve({code});
-      }
-
       const resolvedDeps = Object.create(null);
-      const resolvedDepsArr = [];
 
       return Promise.all(
-        resolutionResponse.getResolvedDependencyPairs(module).map(
+        (resolutionResponse.getResolvedDependencyPairs(module) || []).concat(
+          resolutionResponse.getResolvedAsyncDependencyPairs(module)
+        ).map(
           ([depName, depModule]) => {
             if (depModule) {
-              return depModule.getName().then(name => {
+              return this._moduleIds.getId(depModule).then(name => {
                 resolvedDeps[depName] = name;
-                resolvedDepsArr.push(name);
               });
             }
           }
         )
       ).then(() => {
-        const relativizeCode = (codeMatch, pre, quot, depName, post) => {
-          const depId = resolvedDeps[depName];
-          if (depId) {
-            return pre + quot + depId + post;
-          } else {
-            return codeMatch;
-          }
-        };
-
-        code = code
-          .replace(replacePatterns.IMPORT_RE, relativizeCode)
-          .replace(replacePatterns.EXPORT_RE, relativizeCode)
-          .replace(replacePatterns.REQUIRE_RE, relativizeCode);
+        const {code: resolvedCode, replacements} = rewriteRequires(
+          code,
+          this.findRequires(code),
+          depName => resolvedDeps[depName]
+        );
 
-        return module.getName().then(name => {
-          return {name, code};
+        // Polyfills run as scripts and have no module id.
+        if (module.isPolyfill()) {
+          return {name: null, code: resolvedCode, replacements};
+        }
+        return this._moduleIds.getId(module).then(name => {
+          return {name, code: resolvedCode, replacements};
         });
       });
     });
   }
 
-  wrapModule(resolutionResponse, module, code) {
+  /**
+   * Returns the location of every dependency specifier in `code`, found
+   * with the parser selected through the `requireParser` option.
+   */
+  findRequires(code) {
+    if (this._requireParser === 'ast') {
+      try {
+        return findRequiresAST(code);
+      } catch (e) {
+        debug(
+          'Unable to parse code, rewriting requires with regexes:',
+          e.message
+        );
+      }
+    }
+    return findRequires(code);
+  }
+
+  wrapModule(resolutionResponse, module, code, map) {
     if (module.isPolyfill()) {
-      return Promise.resolve({
-        code: definePolyfillCode(code),
-      });
+      return this.resolveRequires(resolutionResponse, module, code).then(
+        ({code: resolvedCode, replacements}) => ({
+          code: definePolyfillCode(resolvedCode),
+          map: createModuleMap({
+            code,
+            map,
+            sourcePath: module.path,
+            columnOffset: POLYFILL_WRAPPER_HEADER.length,
+            replacements,
+          }),
+        })
+      );
     }
 
     return this.resolveRequires(resolutionResponse, module, code).then(
-      ({name, code}) => {
-        return {name, code: defineModuleCode(name, code)};
+      ({name, code: resolvedCode, replacements}) => {
+        return {
+          name,
+          code: defineModuleCode(name, resolvedCode),
+          map: createModuleMap({
+            code,
+            map,
+            sourcePath: module.path,
+            columnOffset: moduleWrapperHeader(name).length,
+            replacements,
+          }),
+        };
       });
   }
 
 }
 
-function defineModuleCode(moduleName, code) {
+function defineModuleCode(moduleName, code, defineFunction) {
   return [
-    `__d(`,
+    moduleWrapperHeader(moduleName, defineFunction),
+    code,
+    '\n});',
+  ].join('');
+}
+
+function moduleWrapperHeader(moduleName, defineFunction = '__d') {
+  return [
+    `${defineFunction}(`,
     `'${moduleName}',`,
     'function(global, require, module, exports) {',
-    `  ${code}`,
-    '\n});',
+    '  ',
   ].join('');
 }
 
 function definePolyfillCode(code) {
   return [
-    '(function(global) {',
+    POLYFILL_WRAPPER_HEADER,
     code,
     `\n})(typeof global !== 'undefined' ? global : typeof self !== 'undefined' ? self : this);`,
   ].join('');
 }
 
+/**
+ * Puts the polyfills, and the modules they require, before the main module
+ * of `resolutionResponse` and records their resolved requires in it.
+ */
+function prependPolyfills(resolutionResponse, {modules, responses}) {
+  responses.forEach(response => response.dependencies.forEach(module => {
+    resolutionResponse.setResolvedDependencyPairs(
+      module,
+      response.getResolvedDependencyPairs(module)
+    );
+  }));
+  modules.slice().reverse().forEach(
+    module => resolutionResponse.prependDependency(module)
+  );
+}
+
+/**
+ * Compares the resolutions of an entry for several platforms. Returns the
+ * response and module paths of each platform, and a diff listing the modules
+ * missing from some platforms and the requires resolving to different files
+ * depending on the platform:
+ *
+ *   {responses: {ios, ...}, modules: {ios: [path], ...}, diff: {
+ *     modules: [{path, platforms}],
+ *     specifiers: [{from, specifier, resolved: {ios: path, ...}}],
+ *   }}
+ *
+ * Requires are only compared between platforms that include the requiring
+ * module; `resolved` is `null` for the platforms where it did not resolve.
+ */
+function diffPlatforms(platforms, responses) {
+  const result = {
+    responses: {},
+    modules: {},
+    diff: {modules: [], specifiers: []},
+  };
+  const modulePlatforms = Object.create(null);
+  const resolutions = Object.create(null);
+
+  responses.forEach((response, i) => {
+    const platform = platforms[i];
+    const modules = allModules(response);
+    result.responses[platform] = response;
+    result.modules[platform] = modules.map(module => module.path);
+
+    modules.forEach(module => {
+      (modulePlatforms[module.path] = modulePlatforms[module.path] || [])
+        .push(platform);
+      (response.getResolvedDependencyPairs(module) || [])
+        .concat(response.getResolvedAsyncDependencyPairs(module))
+        .forEach(([specifier, dependency]) => {
+          const key = JSON.stringify([module.path, specifier]);
+          if (!resolutions[key]) {
+            resolutions[key] = {from: module.path, specifier, resolved: {}};
+          }
+          resolutions[key].resolved[platform] =
+            dependency ? dependency.path : null;
+        });
+    });
+  });
+
+  Object.keys(modulePlatforms).sort().forEach(modulePath => {
+    if (modulePlatforms[modulePath].length < platforms.length) {
+      result.diff.modules.push({
+        path: modulePath,
+        platforms: modulePlatforms[modulePath],
+      });
+    }
+  });
+  Object.keys(resolutions).sort().forEach(key => {
+    const {from, resolved} = resolutions[key];
+    // Requires that did not resolve are left out of the responses.
+    modulePlatforms[from].forEach(platform => {
+      if (!(platform in resolved)) {
+        resolved[platform] = null;
+      }
+    });
+    const paths = Object.keys(resolved).map(platform => resolved[platform]);
+    if (paths.some(resolvedPath => resolvedPath !== paths[0])) {
+      result.diff.specifiers.push(resolutions[key]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Adds the dependents in `source`, see `getInverseDependencies()`, to
+ * `inverse`.
+ */
+function mergeInverseDependencies(inverse, source) {
+  Object.keys(source).forEach(modulePath => {
+    inverse[modulePath] = Object.assign(
+      inverse[modulePath] || Object.create(null),
+      source[modulePath]
+    );
+  });
+}
+
+/**
+ * Walks the modules requiring the `changedPaths`, transitively, through
+ * `inverse`. A changed `package.json` stands for the modules of its package
+ * that are known, `modulePaths` included. Returns an object whose keys are
+ * the paths reached.
+ */
+function getAffectedPaths(inverse, changedPaths, modulePaths) {
+  const affected = Object.create(null);
+  const queue = [];
+  const visit = modulePath => {
+    if (!affected[modulePath]) {
+      affected[modulePath] = true;
+      queue.push(modulePath);
+    }
+  };
+  const knownPaths = Object.keys(inverse).concat(modulePaths);
+  changedPaths.forEach(changedPath => {
+    if (path.basename(changedPath) === 'package.json') {
+      const packageDir = path.dirname(changedPath) + path.sep;
+      knownPaths
+        .filter(modulePath => modulePath.indexOf(packageDir) === 0)
+        .forEach(visit);
+    } else {
+      visit(changedPath);
+    }
+  });
+  while (queue.length) {
+    Object.keys(inverse[queue.pop()] || {}).forEach(visit);
+  }
+  return affected;
+}
+
+/**
+ * Whether two lists of resolved requires, see
+ * `ResolutionResponse.getResolvedDependencyPairs()`, name and resolve to the
+ * same modules.
+ */
+function samePairs(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return a.every(([name, module], i) =>
+    name === b[i][0] &&
+    (module && module.path) === (b[i][1] && b[i][1].path)
+  );
+}
+
+function allModules(resolutionResponse) {
+  return resolutionResponse.dependencies.concat(
+    ...resolutionResponse.getChunks().slice(1).map(chunk => chunk.modules)
+  );
+}
+
+function withPlatformOptions({platform, dev = true, transformOptions}) {
+  return Object.assign({}, transformOptions, {platform, dev});
+}
+
+function describePreset(preset) {
+  return typeof preset === 'function'
+    ? preset.toString()
+    : JSON.stringify(preset);
+}
+
+function defaultChunkUrl(chunkId) {
+  return `${chunkId}.chunk.js`;
+}
+
+function generateAssetModule(data) {
+  return {code: `module.exports = ${JSON.stringify(data)};`};
+}
+
+function pickAssetScale(assetModules, scale) {
+  const sorted = assetModules
+    .slice()
+    .sort((a, b) => a.resolution - b.resolution);
+  return sorted.find(module => module.resolution >= scale) ||
+    sorted[sorted.length - 1] ||
+    null;
+}
+
+function isInDirectory(dir, filePath) {
+  const relativePath = path.relative(dir, filePath);
+  return relativePath.split(path.sep)[0] !== '..' &&
+    !path.isAbsolute(relativePath);
+}
+
 function verifyRootExists(root) {
   // Verify that the root exists.
   assert(fs.statSync(root).isDirectory(), 'Root has to be a valid directory');
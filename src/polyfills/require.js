@@ -0,0 +1,246 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * Module system runtime shipped at the top of every bundle. Modules are
+ * registered with `__d(id, factory)` and only evaluated on the first
+ * `require(id)`.
+ */
+'use strict';
+
+var modules = Object.create(null);
+
+function define(moduleId, factory) {
+  if (moduleId in modules) {
+    // prevent repeated calls to `global.__d` from overwriting modules
+    return;
+  }
+  modules[moduleId] = {
+    factory: factory,
+    hasError: false,
+    isInitialized: false,
+    exports: undefined,
+    hot: createHotObject(),
+  };
+}
+
+function require(moduleId) {
+  var module = modules[moduleId];
+  return module && module.isInitialized
+    ? module.exports
+    : guardedLoadModule(moduleId, module);
+}
+
+var inGuard = false;
+function guardedLoadModule(moduleId, module) {
+  if (!inGuard && global.ErrorUtils) {
+    inGuard = true;
+    var returnValue;
+    try {
+      returnValue = loadModuleImplementation(moduleId, module);
+    } catch (e) {
+      global.ErrorUtils.reportFatalError(e);
+    }
+    inGuard = false;
+    return returnValue;
+  } else {
+    return loadModuleImplementation(moduleId, module);
+  }
+}
+
+function loadModuleImplementation(moduleId, module) {
+  var nativeRequire = global.nativeRequire;
+  if (!module && nativeRequire) {
+    // RAM bundles only define their startup modules up front. The host
+    // evaluates the others on demand, which registers them through `__d`.
+    nativeRequire(moduleId);
+    module = modules[moduleId];
+  }
+
+  if (!module) {
+    throw unknownModuleError(moduleId);
+  }
+
+  if (module.hasError) {
+    throw moduleThrewError(moduleId);
+  }
+
+  // `require` calls in cyclic dependencies get the partially initialized
+  // exports of the module currently being evaluated.
+  var exports = module.exports = {};
+  module.isInitialized = true;
+  var moduleObject = {exports: exports, id: moduleId, hot: module.hot};
+
+  try {
+    module.factory.call(global, global, require, moduleObject, exports);
+  } catch (e) {
+    module.hasError = true;
+    module.isInitialized = false;
+    module.exports = undefined;
+    throw e;
+  }
+
+  return (module.exports = moduleObject.exports);
+}
+
+function unknownModuleError(id) {
+  return Error('Requiring unknown module "' + id + '".');
+}
+
+function moduleThrewError(id) {
+  return Error('Requiring module "' + id + '", which threw an exception.');
+}
+
+var chunks = Object.create(null);
+var chunkUrls = Object.create(null);
+var loadingChunks = Object.create(null);
+
+// Async modules live in chunks that are loaded on the first
+// `require.async(id)` call for them. `import()` calls are rewritten to it.
+function requireAsync(moduleId) {
+  var chunkIds = chunks[moduleId] || [];
+  return Promise.all(chunkIds.map(loadChunk)).then(function() {
+    return require(moduleId);
+  });
+}
+
+function loadChunk(chunkId) {
+  if (!loadingChunks[chunkId]) {
+    loadingChunks[chunkId] = require.loadChunk(chunkId, chunkUrls[chunkId])
+      .catch(function(e) {
+        delete loadingChunks[chunkId];
+        throw e;
+      });
+  }
+  return loadingChunks[chunkId];
+}
+
+function registerChunks(moduleChunks, urls) {
+  var key;
+  for (key in moduleChunks) {
+    chunks[key] = moduleChunks[key];
+  }
+  for (key in urls) {
+    chunkUrls[key] = urls[key];
+  }
+}
+
+// Default chunk loader for browsers, environments without a DOM have to
+// provide their own `require.loadChunk(chunkId, url)`.
+function loadChunkWithScriptTag(chunkId, url) {
+  return new Promise(function(resolve, reject) {
+    var script = global.document.createElement('script');
+    script.src = url;
+    script.onload = function() {
+      resolve();
+    };
+    script.onerror = function() {
+      reject(Error('Failed to load chunk ' + chunkId + ' from ' + url));
+    };
+    global.document.head.appendChild(script);
+  });
+}
+
+var rejectedUpdates = [];
+
+// Hot module replacement. Updated modules are wrapped in `__accept` instead
+// of `__d`: modules that have not been evaluated yet only get their new
+// factory, evaluated ones are evaluated again if they called
+// `module.hot.accept()`. The others are passed to `require.reload()`.
+function createHotObject() {
+  var hot = {
+    acceptCallback: null,
+    disposeCallback: null,
+    accept: function(callback) {
+      hot.acceptCallback = callback || function() {};
+    },
+    dispose: function(callback) {
+      hot.disposeCallback = callback;
+    },
+  };
+  return hot;
+}
+
+function acceptModule(moduleId, factory) {
+  var module = modules[moduleId];
+  if (!module) {
+    define(moduleId, factory);
+    return;
+  }
+
+  if (!module.isInitialized) {
+    module.factory = factory;
+    module.hasError = false;
+    return;
+  }
+
+  var hot = module.hot;
+  if (!hot.acceptCallback) {
+    rejectedUpdates.push(moduleId);
+    return;
+  }
+
+  if (hot.disposeCallback) {
+    hot.disposeCallback();
+  }
+  module.factory = factory;
+  module.hot = createHotObject();
+  module.isInitialized = false;
+  hot.acceptCallback(require(moduleId));
+}
+
+function applyUpdate(update) {
+  rejectedUpdates = [];
+  update.added.concat(update.modified).forEach(function(module) {
+    // Polyfills have no id and cannot run twice.
+    if (module.id == null) {
+      rejectedUpdates.push(module.path);
+      return;
+    }
+    // Indirect eval, so that the code runs in the global scope.
+    (0, global.eval)(module.code + '\n//# sourceURL=' + module.path);
+  });
+  if (rejectedUpdates.length) {
+    require.reload(rejectedUpdates);
+  }
+}
+
+function reload(moduleIds) {
+  if (global.location) {
+    global.location.reload();
+  } else if (global.console) {
+    global.console.warn(
+      'Modules ' + moduleIds.join(', ') + ' cannot be hot replaced, reload ' +
+      'the app to apply the update.'
+    );
+  }
+}
+
+// Listens to the updates sent by the development server's `/hot` endpoint.
+function connectHot(url) {
+  var socket = new global.WebSocket(url);
+  socket.onmessage = function(event) {
+    var message = JSON.parse(event.data);
+    if (message.type === 'update') {
+      require.applyUpdate(message.body);
+    } else if (message.type === 'error' && global.console) {
+      global.console.error(message.body.message);
+    }
+  };
+  return socket;
+}
+
+require.async = requireAsync;
+require.loadChunk = loadChunkWithScriptTag;
+require.registerChunks = registerChunks;
+require.applyUpdate = applyUpdate;
+require.connectHot = connectHot;
+require.reload = reload;
+
+global.__accept = acceptModule;
+global.__d = define;
+global.require = require;
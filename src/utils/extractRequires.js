@@ -17,8 +17,10 @@ const blockCommentRe = /\/\*(.|\n)*?\*\//g;
 const lineCommentRe = /\/\/.+(\n|$)/g;
 function extractRequires(code) {
   const cache = Object.create(null);
+  const asyncCache = Object.create(null);
   var deps = {
     sync: [],
+    async: [],
   };
 
   const addDependency = (dep) => {
@@ -28,6 +30,13 @@ function extractRequires(code) {
     }
   };
 
+  const addAsyncDependency = (dep) => {
+    if (!asyncCache[dep]) {
+      asyncCache[dep] = true;
+      deps.async.push(dep);
+    }
+  };
+
   code = code
     .replace(blockCommentRe, '')
     .replace(lineCommentRe, '')
@@ -47,6 +56,18 @@ function extractRequires(code) {
     .replace(replacePatterns.REQUIRE_RE, (match, pre, quot, dep, post) => {
       addDependency(dep);
       return match;
+    })
+    // Async dependencies are split into their own chunk and only loaded when
+    // requested:
+    //   import('dep2').then(...);
+    //   require.async('dep3').then(...);
+    .replace(replacePatterns.IMPORT_CALL_RE, (match, pre, quot, dep, post) => {
+      addAsyncDependency(dep);
+      return match;
+    })
+    .replace(replacePatterns.REQUIRE_ASYNC_RE, (match, pre, quot, dep) => {
+      addAsyncDependency(dep);
+      return match;
     });
 
   return {code, deps};
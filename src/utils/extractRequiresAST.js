@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const debug = require('debug')('DependencyGraph');
+const extractRequires = require('./extractRequires');
+const findRequiresAST = require('./findRequiresAST');
+
+/**
+ * Same as `extractRequires`, but only reports the specifiers of real
+ * `require`, `import` and `export ... from` statements. Falls back to
+ * `extractRequires` for code that does not parse.
+ */
+function extractRequiresAST(code) {
+  let requires;
+  try {
+    requires = findRequiresAST(code);
+  } catch (e) {
+    debug('Unable to parse code, extracting requires with regexes:', e.message);
+    return extractRequires(code);
+  }
+
+  const cache = Object.create(null);
+  const asyncCache = Object.create(null);
+  const deps = {
+    sync: [],
+    async: [],
+  };
+  requires.forEach(({name, async}) => {
+    if (async) {
+      if (!asyncCache[name]) {
+        asyncCache[name] = true;
+        deps.async.push(name);
+      }
+    } else if (!cache[name]) {
+      cache[name] = true;
+      deps.sync.push(name);
+    }
+  });
+
+  return {code, deps};
+}
+
+module.exports = extractRequiresAST;
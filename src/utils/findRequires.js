@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const replacePatterns = require('./replacePatterns');
+
+/**
+ * Returns the location of every dependency specifier in `code`, sorted by
+ * position. `start` and `end` delimit the specifier without its quotes.
+ *
+ * Async dependencies (`import('x')` and `require.async('x')`) are flagged
+ * with `async`. For `import()` calls, `callee` delimits the `import` keyword
+ * so that it can be rewritten to `require.async`.
+ */
+function findRequires(code) {
+  const requires = [];
+  const seen = Object.create(null);
+
+  [
+    replacePatterns.IMPORT_RE,
+    replacePatterns.EXPORT_RE,
+    replacePatterns.REQUIRE_RE,
+    replacePatterns.IMPORT_CALL_RE,
+    replacePatterns.REQUIRE_ASYNC_RE,
+  ].forEach(pattern => {
+    const isAsync = pattern === replacePatterns.IMPORT_CALL_RE ||
+      pattern === replacePatterns.REQUIRE_ASYNC_RE;
+    code.replace(pattern, (match, pre, quot, name, post, offset) => {
+      const start = offset + pre.length + quot.length;
+      if (!seen[start]) {
+        seen[start] = true;
+        const specifier = {name, start, end: start + name.length};
+        if (isAsync) {
+          specifier.async = true;
+        }
+        if (pattern === replacePatterns.IMPORT_CALL_RE) {
+          specifier.callee = {start: offset, end: offset + 'import'.length};
+        }
+        requires.push(specifier);
+      }
+      return match;
+    });
+  });
+
+  return requires.sort((a, b) => a.start - b.start);
+}
+
+module.exports = findRequires;
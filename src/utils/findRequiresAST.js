@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+const babylon = require('babylon');
+
+const PLUGINS = [
+  'asyncGenerators',
+  'classProperties',
+  'decorators',
+  'dynamicImport',
+  'exportExtensions',
+  'flow',
+  'jsx',
+  'objectRestSpread',
+];
+
+/**
+ * Parser backed version of `findRequires`: only the specifiers of real
+ * `require()` calls, `import` declarations and `export ... from`
+ * declarations are reported, never look-alikes in strings or comments.
+ *
+ * Besides `start` and `end`, every result carries the 1-based `line` and
+ * 0-based `column` the specifier starts at. `import()` and `require.async()`
+ * calls are flagged with `async`, see `findRequires`. Throws a `SyntaxError`
+ * when `code` cannot be parsed.
+ */
+function findRequiresAST(code) {
+  const requires = [];
+  const addSpecifier = (literal, extra) => {
+    if (literal && literal.type === 'StringLiteral') {
+      requires.push({
+        name: literal.value,
+        start: literal.start + 1,
+        end: literal.end - 1,
+        line: literal.loc.start.line,
+        column: literal.loc.start.column + 1,
+        ...extra,
+      });
+    }
+  };
+
+  visit(parse(code), node => {
+    switch (node.type) {
+      case 'CallExpression':
+        if (
+          node.callee.type === 'Identifier' &&
+          node.callee.name === 'require'
+        ) {
+          addSpecifier(node.arguments[0]);
+        } else if (node.callee.type === 'Import') {
+          addSpecifier(node.arguments[0], {
+            async: true,
+            callee: {start: node.callee.start, end: node.callee.end},
+          });
+        } else if (isRequireAsync(node.callee)) {
+          addSpecifier(node.arguments[0], {async: true});
+        }
+        break;
+      case 'ImportDeclaration':
+      case 'ExportAllDeclaration':
+      case 'ExportNamedDeclaration':
+        addSpecifier(node.source);
+        break;
+    }
+  });
+
+  return requires.sort((a, b) => a.start - b.start);
+}
+
+function isRequireAsync(callee) {
+  return callee.type === 'MemberExpression' &&
+    !callee.computed &&
+    callee.object.type === 'Identifier' &&
+    callee.object.name === 'require' &&
+    callee.property.name === 'async';
+}
+
+function parse(code) {
+  const options = {
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+    plugins: PLUGINS,
+  };
+  try {
+    return babylon.parse(code, {...options, sourceType: 'module'});
+  } catch (e) {
+    // Sloppy mode code (e.g. `with` statements) is not a valid module.
+    return babylon.parse(code, {...options, sourceType: 'script'});
+  }
+}
+
+function visit(node, callback) {
+  if (Array.isArray(node)) {
+    node.forEach(child => visit(child, callback));
+    return;
+  }
+
+  if (!node || typeof node.type !== 'string') {
+    return;
+  }
+
+  callback(node);
+  Object.keys(node).forEach(key => {
+    if (key !== 'loc' && key !== 'extra' && typeof node[key] === 'object') {
+      visit(node[key], callback);
+    }
+  });
+}
+
+module.exports = findRequiresAST;
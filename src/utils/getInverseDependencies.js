@@ -8,49 +8,42 @@
  */
 'use strict';
 
-function resolveModuleRequires(resolutionResponse, module) {
-  const resolvedDeps = Object.create(null);
-
-  const resolvedPairs = resolutionResponse.getResolvedDependencyPairs(module);
-  if (!resolvedPairs) {
-    return Promise.resolve([]);
-  }
-
-  return Promise.all(
-    resolvedPairs.map(
-      ([depName, depModule]) => {
-        if (depModule) {
-          return depModule.getName().then(name => {
-            resolvedDeps[depName] = name;
-          });
-        }
-      }
-    )
-  )
-  .then(() => module.getDependencies(resolutionResponse.transformOptions))
-  .then(dependencies => dependencies.map(dep => resolvedDeps[dep] || dep));
-}
-
 /**
- * Returns an object that indicates in which module each module is required.
+ * Returns an object that indicates in which modules each module is required:
+ * it maps the path of each module of a finalized `resolutionResponse` to an
+ * object whose keys are the paths of the modules requiring it, async requires
+ * included. The modules put before the entry, like polyfills, count as
+ * required by the entry. The modules are added to `inverse` when given.
  */
-function getInverseDependencies(resolutionResponse) {
-  const cache = Object.create(null);
+function getInverseDependencies(
+  resolutionResponse,
+  inverse = Object.create(null)
+) {
+  const add = (module, dependent) => {
+    if (!inverse[module.path]) {
+      inverse[module.path] = Object.create(null);
+    }
+    inverse[module.path][dependent.path] = true;
+  };
 
-  return Promise.all(resolutionResponse.dependencies.map(module => {
-    return Promise.all([
-      module.getName(),
-      resolveModuleRequires(resolutionResponse, module),
-    ]).then(([moduleName, resolvedDependencies]) => {
-      resolvedDependencies.forEach(dep => {
-        if (!cache[dep]) {
-          cache[dep] = [];
-        }
+  const chunks = resolutionResponse.getChunks();
+  resolutionResponse.dependencies
+    .slice(0, resolutionResponse.numPrependedDependencies)
+    .forEach(module => add(module, chunks[0].entry));
 
-        cache[dep].push(moduleName);
-      });
+  chunks.forEach(chunk => chunk.modules.forEach(module => {
+    const pairs = (resolutionResponse.getResolvedDependencyPairs(module) || [])
+      .concat(
+        resolutionResponse.getResolvedAsyncDependencyPairs(module) || []
+      );
+    pairs.forEach(([, dependency]) => {
+      if (dependency) {
+        add(dependency, module);
+      }
     });
-  })).then(() => cache);
+  }));
+
+  return inverse;
 }
 
 module.exports = getInverseDependencies;
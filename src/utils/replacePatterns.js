@@ -12,3 +12,5 @@
 exports.IMPORT_RE = /(\bimport\s+(?:[^'"]+\s+from\s+)??)(['"])([^'"]+)(\2)/g;
 exports.EXPORT_RE = /(\bexport\s+(?:[^'"]+\s+from\s+)??)(['"])([^'"]+)(\2)/g;
 exports.REQUIRE_RE = /(\brequire\s*?\(\s*?)(['"])([^'"]+)(\2\s*?\))/g;
+exports.IMPORT_CALL_RE = /(\bimport\s*\(\s*)(['"])([^'"]+)(\2\s*\))/g;
+exports.REQUIRE_ASYNC_RE = /(\brequire\.async\s*\(\s*)(['"])([^'"]+)(\2\s*\))/g;
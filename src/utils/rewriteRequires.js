@@ -0,0 +1,69 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+/**
+ * Replaces the specifiers found by `findRequires` with the ids returned by
+ * `getId`. Specifiers for which `getId` returns nothing are left untouched.
+ * The `import` keyword of resolved `import()` calls becomes `require.async`.
+ *
+ * Every replacement is reported with its 1-based line, 0-based column and
+ * the difference in length it introduced, so that source maps can be moved
+ * along with the code.
+ */
+function rewriteRequires(code, requires, getId) {
+  const lineStarts = getLineStarts(code);
+  const replacements = [];
+  const chunks = [];
+  let lastIndex = 0;
+  let line = 1;
+
+  const replace = (start, end, text, name, id) => {
+    while (line < lineStarts.length && lineStarts[line] <= start) {
+      line++;
+    }
+
+    chunks.push(code.slice(lastIndex, start), text);
+    lastIndex = end;
+    replacements.push({
+      name,
+      id,
+      line,
+      column: start - lineStarts[line - 1],
+      delta: text.length - (end - start),
+    });
+  };
+
+  requires.forEach(({name, start, end, callee}) => {
+    const id = getId(name);
+    if (id == null) {
+      return;
+    }
+
+    if (callee) {
+      replace(callee.start, callee.end, 'require.async', name, id);
+    }
+    replace(start, end, String(id), name, id);
+  });
+  chunks.push(code.slice(lastIndex));
+
+  return {code: chunks.join(''), replacements};
+}
+
+function getLineStarts(code) {
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  return lineStarts;
+}
+
+module.exports = rewriteRequires;
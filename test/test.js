@@ -13,3 +13,1569 @@ resolver.getHasteMap().then(function(hasteMap){
   var module = hasteMap.getModule('Channel', 'ios');
   console.log(module.path)
 })
+
+// Behavior tests, run one after the other, each in its own temporary
+// project.
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var EventEmitter = require('events').EventEmitter;
+
+var tests = [];
+var fixtures = [];
+
+function test(name, fn) {
+  tests.push({name: name, fn: fn});
+}
+
+function fixture(files) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'haste-resolver-test-'));
+  fixtures.push(dir);
+  writeFiles(dir, files);
+  return dir;
+}
+
+function writeFiles(dir, files) {
+  Object.keys(files).forEach(function(name) {
+    var file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, files[name]);
+  });
+}
+
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(function(name) {
+    var file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDir(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(dir);
+}
+
+function createResolver(root, options) {
+  return new HasteResolver(Object.assign({
+    roots: [root],
+    resetCache: true,
+    lazy: true,
+  }, options));
+}
+
+// Writes the file `name` and reports it to the resolver through `watcher`,
+// an `EventEmitter` passed as its `fileWatcher`.
+function changeFile(resolver, watcher, root, name, content) {
+  var file = path.join(root, name);
+  var type = fs.existsSync(file) ? 'change' : 'add';
+  writeFiles(root, {[name]: content});
+  return new Promise(function(resolve) {
+    resolver.once('change', resolve);
+    watcher.emit('all', type, name, root, fs.statSync(file));
+  });
+}
+
+function modulePaths(root, resolutionResponse) {
+  return resolutionResponse.dependencies.map(function(module) {
+    return path.relative(root, module.path);
+  });
+}
+
+test('virtual modules resolve node modules next to their requirer', function() {
+  var root = fixture({
+    'main.js': "require('@app/flag');",
+    'node_modules/some-pkg/index.js': 'module.exports = 42;',
+  });
+  var resolver = createResolver(root, {
+    resolvers: [function(fromModule, specifier) {
+      if (specifier === '@app/flag') {
+        return {code: "module.exports = require('some-pkg');"};
+      }
+    }],
+  });
+  return resolver.getDependencies(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(response) {
+      assert.deepEqual(modulePaths(root, response), [
+        'main.js',
+        '@app/flag',
+        'node_modules/some-pkg/index.js',
+      ]);
+      return response.dependencies[1].getName();
+    })
+    .then(function(name) {
+      assert.equal(name, '@app/flag');
+      return resolver.close();
+    });
+});
+
+test('config files resolve polyfill paths and keep polyfill names', function() {
+  var root = fixture({
+    'haste.config.js': "module.exports = {polyfillModuleNames: " +
+      "['./polyfills/raf.js', 'lodash', 'Promise']};",
+    'polyfills/raf.js': '',
+    'main.js': '',
+    'node_modules/lodash/index.js': '',
+    'vendor/Promise.js': '/**\n * @providesModule Promise\n */',
+  });
+  var loadConfig = require('../lib/Config').loadConfig;
+  assert.deepEqual(loadConfig(root).options.polyfillModuleNames, [
+    path.join(root, 'polyfills/raf.js'),
+    'lodash',
+    'Promise',
+  ]);
+
+  var resolver = HasteResolver.fromConfig(root, {resetCache: true, lazy: true});
+  return resolver.getDependencies(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(response) {
+      assert.deepEqual(modulePaths(root, response), [
+        'polyfills/raf.js',
+        'node_modules/lodash/index.js',
+        'vendor/Promise.js',
+        'main.js',
+      ]);
+      return resolver.close();
+    });
+});
+
+test('only the requires a file change affects are resolved again', function() {
+  var root = fixture({
+    'main.js': "require('./a'); require('./b');",
+    'a.js': "require('./c');",
+    'b.js': "require('./e');",
+    'c.js': '',
+    'd.js': '',
+    'e.js': '',
+  });
+  var watcher = new EventEmitter();
+  var resolved = [];
+  var resolver = createResolver(root, {
+    fileWatcher: watcher,
+    resolvers: [function(fromModule, specifier) {
+      resolved.push(path.basename(fromModule.path) + ' -> ' + specifier);
+    }],
+  });
+  var main = path.join(root, 'main.js');
+  return resolver.getDependencies(main, {platform: 'ios'})
+    .then(function() {
+      assert.equal(resolved.length, 4);
+      resolved = [];
+      return resolver.getDependencies(main, {platform: 'ios'});
+    })
+    .then(function() {
+      assert.deepEqual(resolved, []);
+      return changeFile(resolver, watcher, root, 'c.js', "require('./d');");
+    })
+    .then(function() {
+      return resolver.getDependencies(main, {platform: 'ios'});
+    })
+    .then(function(response) {
+      assert.deepEqual(resolved.sort(), ['a.js -> ./c', 'c.js -> ./d']);
+      assert.deepEqual(modulePaths(root, response), [
+        'main.js',
+        'a.js',
+        'c.js',
+        'd.js',
+        'b.js',
+        'e.js',
+      ]);
+      return resolver.close();
+    });
+});
+
+test('affected entries and tests are found from the changed files', function() {
+  var root = fixture({
+    'main.js': "require('./a');",
+    'other.js': "require('./b');",
+    'a.js': '',
+    'b.js': '',
+    'c.js': '',
+    '__tests__/a-test.js': "require('../a');",
+    '__tests__/b-test.js': "require('../b');",
+  });
+  var watcher = new EventEmitter();
+  var resolved = [];
+  var resolver = createResolver(root, {
+    fileWatcher: watcher,
+    resolvers: [function(fromModule, specifier) {
+      resolved.push(path.basename(fromModule.path) + ' -> ' + specifier);
+    }],
+  });
+  var main = path.join(root, 'main.js');
+  var other = path.join(root, 'other.js');
+  return resolver.getAffected([path.join(root, 'a.js')], {
+    entries: [main, other, 'missing.js'],
+    platform: 'ios',
+  })
+    .then(function(affected) {
+      assert.deepEqual(affected, {
+        entries: [main, 'missing.js'],
+        tests: [path.join(root, '__tests__', 'a-test.js')],
+      });
+      return changeFile(resolver, watcher, root, 'a.js', "require('./c');");
+    })
+    .then(function() {
+      resolved = [];
+      return resolver.getAffected([path.join(root, 'c.js')], {
+        platform: 'ios',
+      });
+    })
+    .then(function(affected) {
+      assert.deepEqual(affected, {
+        entries: [],
+        tests: [path.join(root, '__tests__', 'a-test.js')],
+      });
+      // Only the test depending on the changed file is resolved again.
+      assert.deepEqual(resolved.sort(), ['a-test.js -> ../a', 'a.js -> ./c']);
+      return resolver.close();
+    });
+});
+
+test('watched entries report polyfill and module changes', function() {
+  var root = fixture({
+    'main.js': "require('./a');",
+    'a.js': "require('./b');",
+    'b.js': '',
+    'poly.js': 'global.x = 1;',
+  });
+  var watcher = new EventEmitter();
+  var resolver = createResolver(root, {
+    fileWatcher: watcher,
+    polyfillModuleNames: [path.join(root, 'poly.js')],
+  });
+  var deltas = [];
+  var nextDelta = null;
+  var unwatch;
+  function waitForDelta() {
+    return new Promise(function(resolve) { nextDelta = resolve; });
+  }
+  function describe(delta) {
+    return ['added', 'modified', 'removed'].map(function(kind) {
+      return delta[kind].map(function(module) {
+        return kind + ' ' + path.relative(root, module.path) +
+          (module.id == null ? ' (no id)' : '');
+      });
+    }).reduce(function(all, list) { return all.concat(list); }, []);
+  }
+  return resolver.watchEntry(path.join(root, 'main.js'), 'ios',
+    function(error, delta) {
+      assert.ifError(error);
+      deltas.push(describe(delta));
+      nextDelta();
+    })
+    .then(function(stop) {
+      unwatch = stop;
+      var delta = waitForDelta();
+      writeFiles(root, {'poly.js': 'global.x = 2;'});
+      watcher.emit('all', 'change', 'poly.js', root,
+        fs.statSync(path.join(root, 'poly.js')));
+      return delta;
+    })
+    .then(function() {
+      return changeFile(resolver, watcher, root, 'c.js', '');
+    })
+    .then(function() {
+      var delta = waitForDelta();
+      return changeFile(resolver, watcher, root, 'a.js', "require('./c');")
+        .then(function() { return delta; });
+    })
+    .then(function() {
+      assert.deepEqual(deltas, [
+        ['modified poly.js (no id)'],
+        ['added c.js', 'modified a.js', 'removed b.js'],
+      ]);
+      unwatch();
+      return resolver.close();
+    });
+});
+
+test('lazy resolvers load and emit ready on first use', function() {
+  var root = fixture({
+    'main.js': "require('./a');",
+    'a.js': '',
+  });
+  var resolver = createResolver(root);
+  var ready = 0;
+  resolver.on('ready', function() { ready += 1; });
+  return resolver.resolveDependency(path.join(root, 'main.js'), './a')
+    .then(function(module) {
+      assert.equal(module.path, path.join(root, 'a.js'));
+      assert.equal(ready, 1);
+      return resolver.getDependencies(path.join(root, 'main.js'), {
+        platform: 'ios',
+      });
+    })
+    .then(function(response) {
+      assert.deepEqual(modulePaths(root, response), ['main.js', 'a.js']);
+      assert.equal(ready, 1);
+      return resolver.close();
+    });
+});
+
+test('require chains come out shortest first up to a limit', function() {
+  var root = fixture({
+    'main.js': "require('./a1'); require('./a2'); require('./t');",
+    'a1.js': "require('./b1'); require('./b2');",
+    'a2.js': "require('./b1'); require('./b2');",
+    'b1.js': "require('./t');",
+    'b2.js': "require('./t');",
+    't.js': '',
+  });
+  var resolver = createResolver(root);
+  var main = path.join(root, 'main.js');
+  function names(chain) {
+    return chain.map(function(hop) { return path.basename(hop.module.path); })
+      .join(' ');
+  }
+  return resolver.getDependencies(main, {platform: 'ios'})
+    .then(function(response) {
+      var target = response.dependencies.find(function(module) {
+        return path.basename(module.path) === 't.js';
+      });
+      assert.deepEqual(
+        response.whyIncluded(target, {all: true}).map(names),
+        [
+          'main.js t.js',
+          'main.js a1.js b1.js t.js',
+          'main.js a1.js b2.js t.js',
+          'main.js a2.js b1.js t.js',
+          'main.js a2.js b2.js t.js',
+        ]
+      );
+      assert.deepEqual(
+        response.whyIncluded(target, {all: true, limit: 2}).map(names),
+        ['main.js t.js', 'main.js a1.js b1.js t.js']
+      );
+      return resolver.close();
+    })
+    .then(function() {
+      var output = '';
+      return require('../lib/cli').run([
+        'why', main, path.join(root, 't.js'),
+        '--root', root, '--all', '--limit', '2', '--json',
+      ], {
+        stdout: {write: function(data) { output += data; }},
+      }).then(function(exitCode) {
+        assert.equal(exitCode, 0);
+        var result = JSON.parse(output);
+        assert.equal(result.chains.length, 2);
+        assert.equal(result.truncated, true);
+      });
+    });
+});
+
+test('platform comparisons list differing modules and requires', function() {
+  var root = fixture({
+    'main.js': "require('./view'); require('./shared');",
+    'view.ios.js': "require('./native');",
+    'view.js': '',
+    'native.js': '',
+    'shared.js': "require('./extra'); require('./missing');",
+    'extra.ios.js': '',
+  });
+  var resolver = createResolver(root, {
+    shouldThrowOnUnresolvedErrors: function() { return false; },
+  });
+  var file = function(name) { return path.join(root, name); };
+  return resolver.comparePlatforms(file('main.js'), ['ios', 'web'])
+    .then(function(result) {
+      assert.deepEqual(Object.keys(result.responses), ['ios', 'web']);
+      assert.deepEqual(result.modules.web, [
+        file('main.js'),
+        file('view.js'),
+        file('shared.js'),
+      ]);
+      assert.deepEqual(result.diff.modules, [
+        {path: file('extra.ios.js'), platforms: ['ios']},
+        {path: file('native.js'), platforms: ['ios']},
+        {path: file('view.ios.js'), platforms: ['ios']},
+        {path: file('view.js'), platforms: ['web']},
+      ]);
+      // `./missing` resolves on no platform, so it does not differ.
+      assert.deepEqual(result.diff.specifiers, [{
+        from: file('main.js'),
+        specifier: './view',
+        resolved: {ios: file('view.ios.js'), web: file('view.js')},
+      }, {
+        from: file('shared.js'),
+        specifier: './extra',
+        resolved: {ios: file('extra.ios.js'), web: null},
+      }]);
+      return resolver.close();
+    });
+});
+
+test('numeric module ids are kept in the first root', function() {
+  var root = fixture({
+    'main.js': "require('./a');",
+    'a.js': '',
+  });
+  var registryPath = path.join(root, 'haste-module-ids.json');
+  var main = path.join(root, 'main.js');
+  var resolver = createResolver(root, {moduleIds: 'numeric'});
+  return resolver.bundle(main, {platform: 'ios'})
+    .then(function() { return resolver.close(); })
+    .then(function() {
+      var registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+      assert.deepEqual(registry.ids, {'main.js': 0, 'a.js': 1});
+      writeFiles(root, {
+        'main.js': "require('./b'); require('./a');",
+        'b.js': '',
+      });
+      resolver = createResolver(root, {moduleIds: 'numeric'});
+      return resolver.bundle(main, {platform: 'ios'});
+    })
+    .then(function() { return resolver.close(); })
+    .then(function() {
+      var registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+      assert.deepEqual(registry.ids, {'main.js': 0, 'a.js': 1, 'b.js': 2});
+    });
+});
+
+test('entries given by name get the platform they resolve to', function() {
+  var root = fixture({
+    'node_modules/app/package.json': '{"name": "app", "main": "main.ios.js"}',
+    'node_modules/app/main.ios.js': "require('./view');",
+    'node_modules/app/view.ios.js': '',
+    'node_modules/app/view.js': '',
+  });
+  var resolver = createResolver(root);
+  return resolver.getDependencies('app', {})
+    .then(function(response) {
+      assert.deepEqual(modulePaths(root, response), [
+        path.join('node_modules', 'app', 'main.ios.js'),
+        path.join('node_modules', 'app', 'view.ios.js'),
+      ]);
+      return resolver.close();
+    });
+});
+
+test('the ast require parser only rewrites real requires', function() {
+  var root = fixture({
+    'main.js': [
+      "var a = require ( './a' );",
+      "var s = \"require('./b')\";",
+      "// require('./b')",
+      "import c from './c';",
+      "export {d} from './d';",
+    ].join('\n'),
+    'a.js': '',
+    'b.js': '',
+    'c.js': '',
+    'd.js': '',
+  });
+  var resolver = createResolver(root, {
+    requireParser: 'ast',
+    moduleIds: 'numeric',
+  });
+  var main = path.join(root, 'main.js');
+  return resolver.getDependencies(main, {platform: 'ios'})
+    .then(function(response) {
+      assert.deepEqual(
+        modulePaths(root, response),
+        ['main.js', 'a.js', 'c.js', 'd.js']
+      );
+      return resolver.bundle(main, {platform: 'ios'});
+    })
+    .then(function(code) {
+      var mainModule = code.slice(
+        code.indexOf("__d('0'"),
+        code.indexOf("__d('1'")
+      );
+      assert.deepEqual(mainModule.split('\n').slice(0, 5), [
+        "__d('0',function(global, require, module, exports) {  " +
+          "var a = require ( '1' );",
+        "var s = \"require('./b')\";",
+        "// require('./b')",
+        "import c from '2';",
+        "export {d} from '3';",
+      ]);
+      return resolver.close();
+    });
+});
+
+test('async imports are split into chunks with shared chunks', function() {
+  var root = fixture({
+    'main.js': "require('./common'); import('./x'); require.async('./y');",
+    'common.js': '',
+    'x.js': "require('./common'); require('./shared'); require('./onlyx');",
+    'y.js': "require('./shared');",
+    'shared.js': '',
+    'onlyx.js': '',
+  });
+  var resolver = createResolver(root);
+  var describe = function(chunk) {
+    return {
+      id: chunk.id,
+      entry: chunk.entry && path.basename(chunk.entry.path),
+      modules: chunk.modules.map(function(module) {
+        return path.basename(module.path);
+      }),
+      dependsOn: chunk.dependsOn,
+    };
+  };
+  return resolver.getDependencies(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(response) {
+      assert.deepEqual(response.getChunks().map(describe), [
+        {id: 0, entry: 'main.js', modules: ['main.js', 'common.js'],
+          dependsOn: []},
+        {id: 1, entry: 'x.js', modules: ['x.js', 'onlyx.js'], dependsOn: [3]},
+        {id: 2, entry: 'y.js', modules: ['y.js'], dependsOn: [3]},
+        {id: 3, entry: null, modules: ['shared.js'], dependsOn: []},
+      ]);
+      return resolver.close();
+    });
+});
+
+test('common entry modules follow minEntries and minSize', function() {
+  var root = fixture({
+    'a.js': "require('./big'); require('./small'); require('./ab');",
+    'b.js': "require('./big'); require('./small'); require('./ab');",
+    'c.js': "require('./big');",
+    'big.js': '// ' + new Array(200).join('x'),
+    'small.js': 'var s;',
+    'ab.js': 'var ab = 1;',
+  });
+  var resolver = createResolver(root);
+  var entries = ['a.js', 'b.js', 'c.js'].map(function(name) {
+    return path.join(root, name);
+  });
+  var chunkModules = function(result) {
+    return result.chunks.map(function(chunk) {
+      return chunk.modules.map(function(module) {
+        return path.basename(module.path);
+      }).join(' ');
+    });
+  };
+  return resolver.getDependenciesForEntries(entries, {platform: 'ios'})
+    .then(function(result) {
+      assert.deepEqual(chunkModules(result), [
+        'big.js small.js ab.js',
+        'a.js',
+        'b.js',
+        'c.js',
+      ]);
+      assert.deepEqual(result.chunks.map(function(chunk) {
+        return chunk.dependsOn;
+      }), [[], [0], [0], [0]]);
+      return resolver.getDependenciesForEntries(entries, {
+        platform: 'ios',
+        minEntries: 3,
+      });
+    })
+    .then(function(result) {
+      assert.deepEqual(chunkModules(result), [
+        'big.js',
+        'a.js small.js ab.js',
+        'b.js small.js ab.js',
+        'c.js',
+      ]);
+      return resolver.getDependenciesForEntries(entries, {
+        platform: 'ios',
+        minSize: 10,
+      });
+    })
+    .then(function(result) {
+      assert.deepEqual(chunkModules(result), [
+        'big.js ab.js',
+        'a.js small.js',
+        'b.js small.js',
+        'c.js',
+      ]);
+      return resolver.close();
+    });
+});
+
+test('project configs apply presets and validate their options', function() {
+  var loadConfig = require('../lib/Config').loadConfig;
+  var root = fixture({
+    'app/haste.config.js': [
+      "module.exports = {",
+      "  extends: ['web', './base.js'],",
+      "  roots: ['./src'],",
+      "  blacklistRE: 'dist/',",
+      "};",
+    ].join('\n'),
+    'app/base.js': "module.exports = {platforms: ['web', 'desktop']};",
+    'app/src/main.js': '',
+    'lib/package.json': JSON.stringify({haste: {lazy: true}}),
+    'lib/src/index.js': '',
+    'bad-option/haste.config.js': 'module.exports = {rootz: []};',
+    'bad-type/haste.config.js': "module.exports = {lazy: 'yes'};",
+    'bad-preset/haste.config.js': "module.exports = {extends: 'native'};",
+    'loop/haste.config.js': "module.exports = {extends: './other.js'};",
+    'loop/other.js': "module.exports = {extends: './haste.config.js'};",
+  });
+  var app = loadConfig(path.join(root, 'app', 'src'));
+  assert.equal(app.configPath, path.join(root, 'app', 'haste.config.js'));
+  assert.deepEqual(app.options.roots, [path.join(root, 'app', 'src')]);
+  assert.deepEqual(app.options.platforms, ['web', 'desktop']);
+  assert.equal(app.options.preferNativePlatform, false);
+  assert.ok(app.options.assetExts.indexOf('woff') !== -1);
+  assert.ok(app.options.blacklistRE.test('/app/dist/main.js'));
+
+  var lib = loadConfig(path.join(root, 'lib', 'src'));
+  assert.equal(lib.configPath, path.join(root, 'lib', 'package.json'));
+  assert.deepEqual(lib.options, {lazy: true, roots: [path.join(root, 'lib')]});
+
+  assert.throws(function() {
+    loadConfig(path.join(root, 'bad-option'));
+  }, /Unknown option `rootz`/);
+  assert.throws(function() {
+    loadConfig(path.join(root, 'bad-type'));
+  }, /Option `lazy` in .* must be a boolean, got/);
+  assert.throws(function() {
+    loadConfig(path.join(root, 'bad-preset'));
+  }, /Unknown preset `native`, expected one of react-native, web or a path/);
+  assert.throws(function() {
+    loadConfig(path.join(root, 'loop'));
+  }, /Circular `extends`/);
+});
+
+test('module name mappers rewrite specifiers per platform', function() {
+  var pkg = function(name) { return JSON.stringify({name: name}); };
+  var root = fixture({
+    'main.js': '',
+    'src/ui/Button.js': '',
+    'node_modules/lodash/package.json': pkg('lodash'),
+    'node_modules/lodash/index.js': '',
+    'node_modules/lodash/fp.js': '',
+    'node_modules/lodash-es/package.json': pkg('lodash-es'),
+    'node_modules/lodash-es/index.js': '',
+    'node_modules/preact/package.json': pkg('preact'),
+    'node_modules/preact/compat/index.js': '',
+    'node_modules/preact/compat/server.js': '',
+    'node_modules/react-native/package.json': pkg('react-native'),
+    'node_modules/react-native/index.js': '',
+    'node_modules/react-native-web/package.json': pkg('react-native-web'),
+    'node_modules/react-native-web/index.js': '',
+  });
+  var resolver = createResolver(root, {
+    moduleNameMapper: {
+      '^lodash$': 'lodash-es',
+      '^@ui/(.*)$': '<rootDir>/src/ui/$1',
+      'react-dom': 'preact/compat',
+    },
+    platformModuleNameMapper: {
+      web: {'^react-native$': 'react-native-web'},
+    },
+  });
+  var main = path.join(root, 'main.js');
+  var resolve = function(specifier, platform) {
+    return resolver.resolveDependency(main, specifier, {platform: platform})
+      .then(function(module) { return path.relative(root, module.path); });
+  };
+  return Promise.all([
+    resolve('lodash', 'ios'),
+    resolve('lodash/fp', 'ios'),
+    resolve('@ui/Button', 'ios'),
+    resolve('react-dom', 'ios'),
+    resolve('react-dom/server', 'ios'),
+    resolve('react-native', 'ios'),
+    resolve('react-native', 'web'),
+  ]).then(function(resolved) {
+    assert.deepEqual(resolved, [
+      'node_modules/lodash-es/index.js',
+      'node_modules/lodash/fp.js',
+      'src/ui/Button.js',
+      'node_modules/preact/compat/index.js',
+      'node_modules/preact/compat/server.js',
+      'node_modules/react-native/index.js',
+      'node_modules/react-native-web/index.js',
+    ].map(path.normalize));
+    return resolver.close();
+  });
+});
+
+test('haste map snapshots are restored, reading changed files', function() {
+  var docblock = function(name) {
+    return '/**\n * @providesModule ' + name + '\n */\n';
+  };
+  var root = fixture({
+    'A.js': docblock('A'),
+    'B.js': docblock('B'),
+  });
+  var snapshotPath = path.join(fixture({}), 'haste-map.snapshot');
+  var setMtime = function(name, seconds) {
+    fs.utimesSync(path.join(root, name), seconds, seconds);
+  };
+  setMtime('A.js', 1000000);
+  setMtime('B.js', 1000000);
+  var createSnapshotResolver = function() {
+    return createResolver(root, {
+      hasteMapSnapshot: snapshotPath,
+      resetCache: false,
+    });
+  };
+  var resolver = createSnapshotResolver();
+  return resolver.getHasteMap()
+    .then(function() { return resolver.close(); })
+    .then(function() {
+      assert.ok(fs.existsSync(snapshotPath));
+      // Same mtime: the snapshot is trusted and the file is not read again.
+      writeFiles(root, {'A.js': docblock('Z')});
+      setMtime('A.js', 1000000);
+      writeFiles(root, {'B.js': docblock('C'), 'D.js': docblock('D')});
+      setMtime('B.js', 2000000);
+      resolver = createSnapshotResolver();
+      return resolver.getHasteMap();
+    })
+    .then(function(hasteMap) {
+      var modulePath = function(name) {
+        var module = hasteMap.getModule(name);
+        return module && path.basename(module.path);
+      };
+      assert.deepEqual(
+        ['A', 'Z', 'B', 'C', 'D'].map(modulePath),
+        ['A.js', null, null, 'B.js', 'D.js']
+      );
+      return resolver.close();
+    });
+});
+
+test('transforms run in workers that are restarted after a crash', function() {
+  var root = fixture({
+    'main.js': "require('./a'); TRANSFORM_ME;",
+    'a.js': 'CRASH_ONCE;',
+    'b.js': '',
+  });
+  var transformerDir = fixture({
+    'transformer.js': [
+      "var fs = require('fs');",
+      "var path = require('path');",
+      "exports.transform = function(filename, code, options) {",
+      "  var marker = path.join(__dirname, 'crashed');",
+      "  if (code.indexOf('CRASH_ONCE') !== -1 && !fs.existsSync(marker)) {",
+      "    fs.writeFileSync(marker, '');",
+      "    process.exit(1);",
+      "  }",
+      "  return {code: code",
+      "    .replace('TRANSFORM_ME', \"require('./b')\")",
+      "    .replace('CRASH_ONCE', 'var pid = ' + process.pid + ';')};",
+      "};",
+    ].join('\n'),
+  });
+  var resolver = createResolver(root, {
+    transformModulePath: path.join(transformerDir, 'transformer.js'),
+    maxWorkers: 2,
+  });
+  return resolver.getDependencies(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(response) {
+      // Requires are extracted from the transformed code.
+      assert.deepEqual(
+        modulePaths(root, response),
+        ['main.js', 'a.js', 'b.js']
+      );
+      assert.ok(fs.existsSync(path.join(transformerDir, 'crashed')));
+      return resolver.bundle(path.join(root, 'main.js'), {platform: 'ios'});
+    })
+    .then(function(code) {
+      // Transformed in a worker process.
+      assert.ok(/var pid = \d+;/.test(code));
+      assert.ok(code.indexOf('var pid = ' + process.pid + ';') === -1);
+      return resolver.close();
+    });
+});
+
+test('circular requires are listed and fail strict resolution', function() {
+  var root = fixture({
+    'main.js': "require('./a'); require('./legacy/x');",
+    'a.js': "require('./b');",
+    'b.js': "require('./a'); import('./main');",
+    'legacy/x.js': "require('./y');",
+    'legacy/y.js': "require('./x');",
+    'clean.js': "require('./legacy/x');",
+  });
+  var file = function(name) { return path.join(root, name); };
+  var options = {platform: 'ios'};
+  var resolver = createResolver(root);
+  var strictResolver = createResolver(root, {
+    failOnCycles: true,
+    allowedCycles: ['legacy/'],
+  });
+  return resolver.getDependencies(file('main.js'), options)
+    .then(function(response) {
+      // The async import of main.js does not close a cycle.
+      assert.deepEqual(response.getCycles(), [
+        [file('a.js'), file('b.js')],
+        [file('legacy/x.js'), file('legacy/y.js')],
+      ]);
+      return strictResolver.getDependencies(file('main.js'), options).then(
+        function() { throw new Error('Expected a CircularDependencyError'); },
+        function(error) {
+          assert.equal(error.type, 'CircularDependencyError');
+          assert.deepEqual(error.cycles, [[file('a.js'), file('b.js')]]);
+        }
+      );
+    })
+    .then(function() {
+      // Allowed cycles do not fail resolution.
+      return strictResolver.getDependencies(file('clean.js'), options);
+    })
+    .then(function(response) {
+      assert.equal(response.getCycles().length, 1);
+      return Promise.all([resolver.close(), strictResolver.close()]);
+    });
+});
+
+test('graphs export to JSON, DOT and Mermaid', function() {
+  var root = fixture({
+    'main.js': "require('./a'); import('./lazy'); require('pkg');",
+    'a.ios.js': "require('./data.json');",
+    'data.json': '{}',
+    'lazy.js': '',
+    'node_modules/pkg/package.json': '{"name": "pkg"}',
+    'node_modules/pkg/index.js': "require('./sub');",
+    'node_modules/pkg/sub.js': '',
+  });
+  var resolver = createResolver(root);
+  var pkgPath = function(name) {
+    return path.join('node_modules', 'pkg', name);
+  };
+  return resolver.getDependencies(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(response) {
+      return Promise.all([
+        response.toGraphJSON({rootDir: root}),
+        response.toGraphJSON({rootDir: root, directories: ['node_modules']}),
+        response.toDOT({rootDir: root, collapseNodeModules: true}),
+        response.toMermaid({rootDir: root, collapseNodeModules: true}),
+      ]);
+    })
+    .then(function(results) {
+      var node = function(nodePath, name, type, platform) {
+        return {path: nodePath, name: name, type: type, platform: platform};
+      };
+      var edge = function(from, to, specifier, async) {
+        return {from: from, to: to, specifier: specifier, async: async};
+      };
+      assert.deepEqual(results[0], {
+        version: 1,
+        entry: 'main.js',
+        nodes: [
+          node('a.ios.js', 'a.ios.js', 'module', 'ios'),
+          node('data.json', 'data.json', 'json', null),
+          node('lazy.js', 'lazy.js', 'module', null),
+          node('main.js', 'main.js', 'module', null),
+          node(pkgPath('index.js'), 'pkg/index.js', 'module', null),
+          node(pkgPath('sub.js'), 'pkg/sub.js', 'module', null),
+        ],
+        edges: [
+          edge('a.ios.js', 'data.json', './data.json', false),
+          edge('main.js', 'a.ios.js', './a', false),
+          edge('main.js', 'lazy.js', './lazy', true),
+          edge('main.js', pkgPath('index.js'), 'pkg', false),
+          edge(pkgPath('index.js'), pkgPath('sub.js'), './sub', false),
+        ],
+      });
+      assert.deepEqual(results[1].nodes.map(function(n) { return n.path; }), [
+        pkgPath('index.js'),
+        pkgPath('sub.js'),
+      ]);
+      assert.equal(results[1].entry, null);
+      var pkgDir = JSON.stringify(path.join('node_modules', 'pkg'));
+      assert.equal(results[2], [
+        'digraph dependencies {',
+        '  "a.ios.js" [label="a.ios.js"];',
+        '  "data.json" [label="data.json"];',
+        '  "lazy.js" [label="lazy.js"];',
+        '  "main.js" [label="main.js", style=bold];',
+        '  ' + pkgDir + ' [label="pkg", shape=box];',
+        '  "a.ios.js" -> "data.json" [label="./data.json"];',
+        '  "main.js" -> "a.ios.js" [label="./a"];',
+        '  "main.js" -> "lazy.js" [label="./lazy", style=dashed];',
+        '  "main.js" -> ' + pkgDir + ' [label="pkg"];',
+        '}',
+        '',
+      ].join('\n'));
+      assert.equal(results[3], [
+        'graph LR',
+        '  n0["a.ios.js"]',
+        '  n1["data.json"]',
+        '  n2["lazy.js"]',
+        '  n3["main.js"]',
+        '  n4[["pkg"]]',
+        '  n0 -->|"./data.json"| n1',
+        '  n3 -->|"./a"| n0',
+        '  n3 -.->|"./lazy"| n2',
+        '  n3 -->|"pkg"| n4',
+        '',
+      ].join('\n'));
+      return resolver.close();
+    });
+});
+
+test('bundles run their entry and export its modules', function() {
+  var root = fixture({
+    'main.js': [
+      '/**',
+      ' * @providesModule Main',
+      ' */',
+      "var dep = require('./dep');",
+      'module.exports = {value: dep.value * 2};',
+      'global.started = true;',
+    ].join('\n'),
+    'dep.js': 'module.exports = {value: 21};',
+  });
+  var resolver = createResolver(root);
+  return resolver.bundle(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(code) {
+      var sandbox = {};
+      require('vm').runInNewContext(code, sandbox);
+      assert.equal(sandbox.started, true);
+      assert.deepEqual(sandbox.require('Main'), {value: 42});
+      return resolver.close();
+    });
+});
+
+test('bundle source maps point back to the original lines', function() {
+  var root = fixture({
+    'main.js': [
+      'var ready = false;',
+      'if (!ready) {',
+      "  var dep = require('./dep');",
+      '}',
+      "import('./lazy');",
+    ].join('\n'),
+    'dep.js': '',
+    'lazy.js': "// Loaded on demand.\n    var lazyValue = 1;",
+  });
+  var SourceMapConsumer = require('source-map').SourceMapConsumer;
+  var originalPosition = function(bundle, text, columnDelta) {
+    var consumer = new SourceMapConsumer(bundle.getSourceMap());
+    var lines = bundle.getSource().split('\n');
+    var line = lines.findIndex(function(l) { return l.indexOf(text) !== -1; });
+    var position = consumer.originalPositionFor({
+      line: line + 1,
+      column: lines[line].indexOf(text) + (columnDelta || 0),
+    });
+    return [position.source, position.line, position.column];
+  };
+  var resolver = createResolver(root);
+  return resolver.buildBundle(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(bundle) {
+      // Untransformed modules are mapped line by line, after the wrapper.
+      assert.deepEqual(
+        originalPosition(bundle, 'var ready = false;'),
+        [path.join(root, 'main.js'), 1, 0]
+      );
+      assert.deepEqual(
+        originalPosition(bundle, 'var ready = false;', -1),
+        [null, null, null]
+      );
+      assert.deepEqual(
+        originalPosition(bundle, 'var dep = require('),
+        [path.join(root, 'main.js'), 3, 0]
+      );
+      // Async chunks get index maps of their own.
+      var chunk = bundle.getChunks()[0].bundle;
+      assert.ok(Array.isArray(chunk.getSourceMap().sections));
+      assert.deepEqual(
+        originalPosition(chunk, 'var lazyValue'),
+        [path.join(root, 'lazy.js'), 2, 0]
+      );
+      return resolver.close();
+    });
+});
+
+test('the module id registry is not watched as a module', function() {
+  var root = fixture({'main.js': ''});
+  var watcher = new EventEmitter();
+  var resolver = createResolver(root, {
+    fileWatcher: watcher,
+    moduleIds: 'numeric',
+  });
+  var changes = [];
+  resolver.on('change', function(type, filePath) {
+    changes.push(path.relative(root, filePath));
+  });
+  var main = path.join(root, 'main.js');
+  return resolver.bundle(main, {platform: 'ios'})
+    .then(function() {
+      writeFiles(root, {'haste-module-ids.json': '{}'});
+      watcher.emit(
+        'all',
+        'add',
+        'haste-module-ids.json',
+        root,
+        fs.statSync(path.join(root, 'haste-module-ids.json'))
+      );
+      return changeFile(resolver, watcher, root, 'main.js', '');
+    })
+    .then(function() {
+      assert.deepEqual(changes, ['main.js']);
+      return resolver.close();
+    });
+});
+
+test('hashed module ids are digests of root-relative paths', function() {
+  var root = fixture({'main.js': "require('./a');", 'a.js': ''});
+  var resolver = createResolver(root, {moduleIds: 'hashed'});
+  var hash = function(key) {
+    return require('crypto').createHash('md5').update(key).digest('hex')
+      .substr(0, 8);
+  };
+  return resolver.bundle(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(code) {
+      assert.notEqual(code.indexOf("__d('" + hash('main.js') + "'"), -1);
+      assert.notEqual(code.indexOf("__d('" + hash('a.js') + "'"), -1);
+      assert.notEqual(code.indexOf("require('" + hash('a.js') + "')"), -1);
+      assert.ok(!fs.existsSync(path.join(root, 'haste-module-ids.json')));
+      return resolver.close();
+    });
+});
+
+test('hashed module ids that collide are reported', function() {
+  var ModuleIdRegistry = require('../lib/ModuleIdRegistry');
+  var registry = new ModuleIdRegistry({strategy: 'hashed', roots: ['/app']});
+  var module = function(name) {
+    return {
+      path: path.join('/app', name),
+      isPolyfill: function() { return false; },
+    };
+  };
+  // Both paths have the md5 prefix 45fe0f78.
+  return registry.getId(module('m24732.js'))
+    .then(function(id) {
+      assert.equal(id, '45fe0f78');
+      return registry.getId(module('m24732.js'));
+    })
+    .then(function(id) {
+      assert.equal(id, '45fe0f78');
+      return registry.getId(module('m33552.js'));
+    })
+    .then(function() {
+      throw new Error('Expected a collision');
+    }, function(err) {
+      assert.ok(/m24732\.js and m33552\.js have the same hashed id/.test(
+        err.message
+      ));
+    });
+});
+
+test('the haste map is returned once file changes are applied', function() {
+  var root = fixture({'A.js': '/** @providesModule A */'});
+  var watcher = new EventEmitter();
+  var resolver = createResolver(root, {fileWatcher: watcher});
+  return resolver.getHasteMap()
+    .then(function() {
+      writeFiles(root, {'A.js': '/** @providesModule B */'});
+      watcher.emit(
+        'all',
+        'change',
+        'A.js',
+        root,
+        fs.statSync(path.join(root, 'A.js'))
+      );
+      return resolver.getHasteMap();
+    })
+    .then(function(hasteMap) {
+      assert.equal(hasteMap.getModule('A'), null);
+      assert.equal(path.basename(hasteMap.getModule('B').path), 'A.js');
+      return resolver.close();
+    });
+});
+
+// Evaluates a RAM bundle the way a host would: the startup code first, every
+// other module when `nativeRequire` is called with its id.
+function runRamBundle(startupCode, readModule) {
+  var vm = require('vm');
+  var required = [];
+  var sandbox = {
+    nativeRequire: function(id) {
+      required.push(id);
+      vm.runInContext(readModule(id), sandbox);
+    },
+  };
+  vm.createContext(sandbox);
+  vm.runInContext(startupCode, sandbox);
+  return {sandbox: sandbox, required: required};
+}
+
+function ramBundleFixture() {
+  return fixture({
+    'main.js': "global.result = require('./dep').value + 1;",
+    'dep.js': 'module.exports = {value: 41};',
+  });
+}
+
+// Reads the startup code and the module bodies of an indexed RAM bundle
+// through its header and offset table.
+function runIndexedRamBundle(code) {
+  var startupOffset = 12 + code.readUInt32LE(4) * 8;
+  var readNullTerminated = function(offset, length) {
+    assert.equal(code[offset + length - 1], 0);
+    return code.toString('utf8', offset, offset + length - 1);
+  };
+  return runRamBundle(
+    readNullTerminated(startupOffset, code.readUInt32LE(8)),
+    function(id) {
+      return readNullTerminated(
+        startupOffset + code.readUInt32LE(12 + id * 8),
+        code.readUInt32LE(12 + id * 8 + 4)
+      );
+    }
+  );
+}
+
+test('indexed RAM bundles load modules through nativeRequire', function() {
+  var root = ramBundleFixture();
+  var resolver = createResolver(root, {moduleIds: 'numeric'});
+  return resolver.buildRamBundle(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(ramBundle) {
+      assert.equal(ramBundle.format, 'indexed');
+      assert.equal(ramBundle.code.readUInt32LE(0), 0xFB0BD1E5);
+      assert.equal(ramBundle.code.readUInt32LE(4), 2);
+      var run = runIndexedRamBundle(ramBundle.code);
+      assert.equal(run.sandbox.result, 42);
+      assert.deepEqual(run.required, [0, 1]);
+      return resolver.close();
+    });
+});
+
+test('startup modules of RAM bundles are evaluated up front', function() {
+  var root = ramBundleFixture();
+  var resolver = createResolver(root, {moduleIds: 'numeric'});
+  return resolver.buildRamBundle(path.join(root, 'main.js'), {
+    platform: 'ios',
+    startupModules: [path.join(root, 'main.js')],
+  })
+    .then(function(ramBundle) {
+      var run = runIndexedRamBundle(ramBundle.code);
+      assert.equal(run.sandbox.result, 42);
+      assert.deepEqual(run.required, [1]);
+      return resolver.close();
+    });
+});
+
+test('directory RAM bundles write a file per module', function() {
+  var root = ramBundleFixture();
+  var outputDir = fixture({});
+  var outputPath = path.join(outputDir, 'main.jsbundle');
+  var resolver = createResolver(root, {moduleIds: 'numeric'});
+  return resolver.writeRamBundle(path.join(root, 'main.js'), outputPath, {
+    platform: 'ios',
+    format: 'directory',
+  })
+    .then(function() {
+      var modulesDir = path.join(outputDir, 'js-modules');
+      assert.deepEqual(
+        fs.readdirSync(modulesDir).sort(),
+        ['0.js', '1.js', 'UNBUNDLE']
+      );
+      assert.equal(
+        fs.readFileSync(path.join(modulesDir, 'UNBUNDLE')).readUInt32LE(0),
+        0xFB0BD1E5
+      );
+      var run = runRamBundle(
+        fs.readFileSync(outputPath, 'utf8'),
+        function(id) {
+          return fs.readFileSync(path.join(modulesDir, id + '.js'), 'utf8');
+        }
+      );
+      assert.equal(run.sandbox.result, 42);
+      assert.deepEqual(run.required, [0, 1]);
+      return resolver.close();
+    });
+});
+
+test('indexed RAM bundles need numeric module ids', function() {
+  var root = ramBundleFixture();
+  var resolver = createResolver(root);
+  return resolver.buildRamBundle(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function() {
+      throw new Error('Expected the RAM bundle to be rejected');
+    }, function(err) {
+      assert.ok(/Indexed RAM bundles need numeric module ids/.test(
+        err.message
+      ));
+      return resolver.close();
+    });
+});
+
+function runCli(argv) {
+  var output = {stdout: '', stderr: ''};
+  var stream = function(name) {
+    return {write: function(data) { output[name] += data; }};
+  };
+  return require('../lib/cli').run(argv, {
+    stdout: stream('stdout'),
+    stderr: stream('stderr'),
+  }).then(function(exitCode) {
+    output.exitCode = exitCode;
+    return output;
+  });
+}
+
+function cliFixture() {
+  return fixture({
+    'main.js': "require('Dep');",
+    'Dep.js': '/** @providesModule Dep */\nmodule.exports = 1;',
+  });
+}
+
+test('the cli resolves specifiers and lists dependencies', function() {
+  var root = cliFixture();
+  var main = path.join(root, 'main.js');
+  var options = ['--root', root, '--platform', 'ios', '--json'];
+  return runCli(['resolve', main, 'Dep'].concat(options))
+    .then(function(result) {
+      assert.equal(result.exitCode, 0);
+      assert.deepEqual(JSON.parse(result.stdout), {
+        name: 'Dep',
+        path: path.join(root, 'Dep.js'),
+      });
+      return runCli(['deps', main].concat(options));
+    })
+    .then(function(result) {
+      assert.equal(result.exitCode, 0);
+      assert.deepEqual(
+        JSON.parse(result.stdout).map(function(module) { return module.path; }),
+        [main, path.join(root, 'Dep.js')]
+      );
+      return runCli(['haste-map', '--root', root]);
+    })
+    .then(function(result) {
+      assert.equal(result.exitCode, 0);
+      assert.equal(
+        result.stdout,
+        'Dep [generic] ' + path.join(root, 'Dep.js') + '\n'
+      );
+    });
+});
+
+test('the cli writes bundles and clears the cache', function() {
+  var root = cliFixture();
+  var out = path.join(fixture({}), 'main.bundle.js');
+  return runCli(['bundle', path.join(root, 'main.js'), '--root', root,
+    '--platform', 'ios', '--out', out])
+    .then(function(result) {
+      assert.equal(result.exitCode, 0);
+      assert.equal(result.stdout, 'Wrote ' + out + '\n');
+      var sandbox = {};
+      require('vm').runInNewContext(fs.readFileSync(out, 'utf8'), sandbox);
+      assert.equal(sandbox.require('Dep'), 1);
+      return runCli(['cache', 'clear', '--root', root, '--json']);
+    })
+    .then(function(result) {
+      assert.equal(result.exitCode, 0);
+      assert.deepEqual(JSON.parse(result.stdout), {cleared: true});
+    });
+});
+
+test('the cli fails on unresolvable entries and unknown options', function() {
+  var root = cliFixture();
+  return runCli(['deps', path.join(root, 'missing.js'), '--root', root])
+    .then(function(result) {
+      assert.equal(result.exitCode, 1);
+      assert.equal(result.stdout, '');
+      assert.equal(
+        result.stderr,
+        'Unable to find file with path: ' + path.join(root, 'missing.js') + '\n'
+      );
+      return runCli(['deps', path.join(root, 'main.js'), '--platfrom', 'ios']);
+    })
+    .then(function(result) {
+      assert.equal(result.exitCode, 1);
+      assert.equal(result.stderr.split('\n')[0], 'Unknown option: --platfrom');
+      assert.notEqual(result.stderr.indexOf('Usage: haste-resolver'), -1);
+    });
+});
+
+function request(server, url) {
+  return new Promise(function(resolve) {
+    var response = {};
+    server.processRequest({url: url, headers: {host: 'localhost'}}, {
+      writeHead: function(status, headers) {
+        response.status = status;
+        response.contentType = headers['Content-Type'];
+      },
+      end: function(body) {
+        response.body = body;
+        resolve(response);
+      },
+    });
+  });
+}
+
+function serverFixture() {
+  return fixture({
+    'main.js': "require('./dep'); import('./lazy');",
+    'dep.js': 'module.exports = 1;',
+    'lazy.js': 'module.exports = 2;',
+    'img/logo.png': '1x',
+    'img/logo@2x.png': '2x',
+  });
+}
+
+test('the server serves bundles, chunks, maps and assets', function() {
+  var root = serverFixture();
+  var Server = require('../lib/Server');
+  var server = new Server({
+    roots: [root],
+    lazy: true,
+    resetCache: true,
+    assetExts: ['png'],
+  });
+  var query = '?platform=ios';
+  return request(server, '/main.bundle' + query)
+    .then(function(response) {
+      assert.equal(response.status, 200);
+      assert.equal(response.contentType, 'application/javascript');
+      assert.notEqual(response.body.indexOf('module.exports = 1;'), -1);
+      assert.notEqual(
+        response.body.indexOf('//# sourceMappingURL=/main.map?dev=true'),
+        -1
+      );
+      return request(server, '/main.map' + query);
+    })
+    .then(function(response) {
+      assert.equal(response.status, 200);
+      assert.equal(response.contentType, 'application/json');
+      assert.equal(JSON.parse(response.body).file, 'main.bundle');
+      return request(server, '/main.chunk.1.js' + query);
+    })
+    .then(function(response) {
+      assert.equal(response.status, 200);
+      assert.equal(response.contentType, 'application/javascript');
+      assert.notEqual(response.body.indexOf('module.exports = 2;'), -1);
+      return request(server, '/main.chunk.9.js' + query);
+    })
+    .then(function(response) {
+      assert.equal(response.status, 404);
+      return request(server, '/assets/img/logo.png?platform=ios&scale=2');
+    })
+    .then(function(response) {
+      assert.equal(response.status, 200);
+      assert.equal(response.contentType, 'image/png');
+      assert.equal(String(response.body), '2x');
+      return request(server, '/assets/img/missing.png?platform=ios');
+    })
+    .then(function(response) {
+      assert.equal(response.status, 404);
+      return server.close();
+    });
+});
+
+test('the server sends hot updates over its WebSocket', function() {
+  var root = serverFixture();
+  var watcher = new EventEmitter();
+  var Server = require('../lib/Server');
+  var WebSocket = require('ws');
+  var server = new Server({
+    roots: [root],
+    lazy: true,
+    resetCache: true,
+    fileWatcher: watcher,
+  });
+  var httpServer;
+  var socket;
+  return request(server, '/main.bundle?platform=ios')
+    .then(function() {
+      return new Promise(function(resolve) {
+        httpServer = server.listen(0, 'localhost', resolve);
+      });
+    })
+    .then(function() {
+      var port = httpServer.address().port;
+      socket = new WebSocket(
+        'ws://localhost:' + port + '/hot?bundleEntry=main&platform=ios'
+      );
+      return new Promise(function(resolve) { socket.on('open', resolve); });
+    })
+    .then(function() {
+      var message = new Promise(function(resolve) {
+        socket.on('message', function(data) { resolve(JSON.parse(data)); });
+      });
+      writeFiles(root, {'dep.js': 'module.exports = 3;'});
+      watcher.emit('all', 'change', 'dep.js', root,
+        fs.statSync(path.join(root, 'dep.js')));
+      return message;
+    })
+    .then(function(message) {
+      assert.equal(message.type, 'update');
+      assert.deepEqual(message.body.added, []);
+      assert.deepEqual(message.body.removed, []);
+      assert.deepEqual(
+        message.body.modified.map(function(module) { return module.path; }),
+        [path.join(root, 'dep.js')]
+      );
+      assert.notEqual(
+        message.body.modified[0].code.indexOf('module.exports = 3;'),
+        -1
+      );
+      socket.close();
+      return server.close();
+    });
+});
+
+test('unwritable haste map snapshots do not fail the resolver', function() {
+  var root = fixture({'A.js': '/** @providesModule A */'});
+  var resolver = createResolver(root, {
+    hasteMapSnapshot: '/missing/dir/haste-map.snapshot',
+  });
+  return resolver.getHasteMap()
+    .then(function(hasteMap) {
+      assert.equal(hasteMap.getModule('A').path, path.join(root, 'A.js'));
+      return resolver.close();
+    });
+});
+
+test('corrupt haste map snapshots are rebuilt from the files', function() {
+  var root = fixture({'A.js': '/** @providesModule A */'});
+  var snapshotDir = fixture({});
+  var snapshotPath = path.join(snapshotDir, 'haste-map.snapshot');
+  var loadWithSnapshot = function(snapshotFile) {
+    var resolver = createResolver(root, {
+      hasteMapSnapshot: snapshotFile,
+      resetCache: false,
+    });
+    return resolver.getHasteMap()
+      .then(function(hasteMap) {
+        assert.equal(hasteMap.getModule('A').path, path.join(root, 'A.js'));
+        return resolver.close();
+      });
+  };
+  return loadWithSnapshot(snapshotPath)
+    .then(function() {
+      // Written for the same options, but with parts missing.
+      var snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+      snapshot.files = null;
+      snapshot.hasteMap = null;
+      fs.writeFileSync(snapshotPath, JSON.stringify(snapshot));
+      return loadWithSnapshot(snapshotPath);
+    })
+    .then(function() {
+      fs.writeFileSync(snapshotPath, '{"version": 1, "key": ');
+      return loadWithSnapshot(snapshotPath);
+    })
+    .then(function() {
+      // Unreadable: a directory.
+      return loadWithSnapshot(snapshotDir);
+    });
+});
+
+test('babelPreset compiles modules with Babel', function() {
+  var root = fixture({
+    'main.js': [
+      "import {double} from './math';",
+      'global.result = `${double(21)}`;',
+    ].join('\n'),
+    'math.js': 'export const double = x => x * 2;',
+  });
+  var resolver = createResolver(root, {babelPreset: true});
+  return resolver.bundle(path.join(root, 'main.js'), {platform: 'ios'})
+    .then(function(code) {
+      assert.equal(code.indexOf('=>'), -1);
+      var sandbox = {};
+      require('vm').runInNewContext(code, sandbox);
+      assert.equal(sandbox.result, '42');
+      return resolver.close();
+    });
+});
+
+test('babel preset functions are called per platform and mode', function() {
+  var root = fixture({'main.js': 'global.double = x => x * 2;'});
+  var calls = [];
+  var resolver = createResolver(root, {
+    babelPreset: function(options) {
+      calls.push([options.platform, options.dev]);
+      // Arrow functions are kept for web only.
+      return options.platform === 'web'
+        ? {stage: 1, blacklist: ['es6.arrowFunctions']}
+        : {stage: 1};
+    },
+  });
+  var main = path.join(root, 'main.js');
+  var ios;
+  return resolver.bundle(main, {platform: 'ios', dev: false})
+    .then(function(code) {
+      ios = code;
+      return resolver.bundle(main, {platform: 'web'});
+    })
+    .then(function(web) {
+      assert.deepEqual(calls, [['ios', false], ['web', true]]);
+      assert.equal(ios.indexOf('x => x * 2'), -1);
+      assert.notEqual(web.indexOf('x => x * 2'), -1);
+      return resolver.close();
+    });
+});
+
+test('only one way of transforming modules can be given', function() {
+  var root = fixture({});
+  assert.throws(function() {
+    createResolver(root, {
+      babelPreset: true,
+      transformCode: function(module, code) { return {code: code}; },
+    });
+  }, /Only one of transformCode, transformModulePath and babelPreset/);
+  assert.throws(function() {
+    createResolver(root, {
+      babelPreset: true,
+      transformModulePath: require.resolve('../lib/JSTransformer/babel'),
+    });
+  }, /Only one of transformCode, transformModulePath and babelPreset/);
+});
+
+test('plugin results are resolved again once invalidated', function() {
+  var root = fixture({'main.js': "require('flag!beta');"});
+  var enabled = false;
+  var calls = 0;
+  var resolver = createResolver(root, {
+    resolvers: [function(fromModule, specifier) {
+      if (specifier === 'flag!beta') {
+        calls += 1;
+        return {code: 'module.exports = ' + enabled + ';'};
+      }
+    }],
+  });
+  var main = path.join(root, 'main.js');
+  var flagCode = function(response) {
+    return response.dependencies[1].read().then(function(result) {
+      return result.code;
+    });
+  };
+  return resolver.getDependencies(main, {platform: 'ios'})
+    .then(function() {
+      enabled = true;
+      return resolver.getDependencies(main, {platform: 'ios'});
+    })
+    .then(function() {
+      assert.equal(calls, 1);
+      resolver.invalidatePlugins();
+      return resolver.getDependencies(main, {platform: 'ios'});
+    })
+    .then(flagCode)
+    .then(function(code) {
+      assert.equal(calls, 2);
+      assert.equal(code, 'module.exports = true;');
+      return resolver.close();
+    });
+});
+
+// Add behavior tests above this line.
+
+var finished = 0;
+
+tests.reduce(function(previous, t) {
+  return previous
+    .then(function() { return t.fn(); })
+    .then(function() {
+      finished += 1;
+      console.log('ok', t.name);
+    }, function(error) {
+      finished += 1;
+      console.log('not ok', t.name);
+      console.log(error.stack);
+      process.exitCode = 1;
+    });
+}, Promise.resolve()).then(function() {
+  fixtures.forEach(removeDir);
+});
+
+// A test whose promise never settles lets the process exit early.
+process.on('exit', function() {
+  if (finished < tests.length) {
+    console.log('not ok', tests[finished].name, '(did not finish)');
+    process.exitCode = 1;
+  }
+});